@@ -1,70 +1,346 @@
 import { app } from "../../../scripts/app.js";
+import { api } from "../../../scripts/api.js";
 
 const EXTENSION_NAME = "LinkFX";
 const SIDEBAR_TAB_ID = "linkfx";
 const LOG_PREFIX = "[LinkFX]";
 
 let currentEffect = null;
+let tintByLinkColor = false;
+// Link type (IMAGE, LATENT, ...) -> effect id, or LINK_TYPE_NO_EFFECT. Unmapped types use currentEffect.
+const linkTypeEffects = {};
+const LINK_TYPE_NO_EFFECT = "None";
+// Effect id -> { paramId: value }, only for params the user moved away from the default.
+const effectParams = {};
+const resolvedParamsCache = new Map();
 let animationMode = "full";
 let gravityEnabled = false;
 let installed = false;
 let originalRenderLink = null;
+// Where our wrapper lives, so it can be taken out again.
+let hookedProto = null;
+let hookedMethod = null;
+let patchedLinkRenderer = null;
+// Set when another extension wrapped our wrapper: we can't unpatch without
+// dropping theirs, so the wrapper just forwards to the original instead.
+let hooksBypassed = false;
 let animationLoopId = null;
 let sidebarContainer = null;
 let staticTime = 5000;
 
 const ropePhysics = new Map();
 let lastRopeCleanup = 0;
+// Ropes advance in fixed steps from the animation loop; renderLink only reads their state.
+const ROPE_TIMESTEP = 1000 / 60;
+const ROPE_MAX_STEPS = 6; // per tick; anything beyond (background tab, long frame) is dropped
+let ropeAccumulator = 0;
+let lastRopeTick = 0;
+// Constant world-space speed: motion along a wire runs at the speed it would have on a wire this long.
+const SPEED_REFERENCE_LENGTH = 300;
+let constantSpeed = false;
+const linkFlowClocks = new Map();
+let lastFlowCleanup = 0;
+// Effect id -> phase clock scaled by that effect's Speed
+const effectClocks = new Map();
+// Arc-length lookup tables for bezier links, reused until the link's geometry changes
+const PATH_LUT_SAMPLES = 32;
+const bezierLutCache = new Map();
+let lastLutCleanup = 0;
 
 // GIF 功能相关变量
 let gifEnabled = false;
 let gifUrl = "";
+// 默认图片来自图库时记录图库 id；base64 数据只放在 IndexedDB 里，不写进设置
+let gifSpriteId = "";
+// 旧版设置里的 base64 图片，图库读出来后导入
+let pendingSpriteImport = null;
 let gifSize = 32;
 let gifSpeed = 0.3;
-let gifPosition = 0.5;
-let gifContainer = null;
-const gifElements = new Map();
-let gifLinkData = new Map();
-
-const TARGET_FPS = 45;
-const FRAME_TIME = 1000 / TARGET_FPS;
+let gifPosition = 0.5; // 静态模式下精灵的位置（0 = 输出端）
+let gifCount = 1; // 每条连线上的精灵数量
+let gifSpacing = 0; // 相邻精灵的间隔（连线长度的比例），0 表示均匀分布
+let gifDirection = "forward";
+let gifOrientation = "rotate";
+const GIF_DIRECTIONS = [
+    { id: "forward", label: "输出→输入" },
+    { id: "reverse", label: "输入→输出" },
+    { id: "pingpong", label: "往返" }
+];
+const GIF_ORIENTATIONS = [
+    { id: "rotate", label: "沿连线旋转" },
+    { id: "upright", label: "保持直立" },
+    { id: "mirror", label: "直立+镜像" }
+];
+// 解码缓存：图片 URL → { sprite, error, sliced, slicedKey }；error 是最近一次解码失败的原因
+const spriteCache = new Map();
+// 支持的精灵图格式：GIF、APNG/PNG、WebP、JPEG、SVG
+const SPRITE_MIME_TYPES = ["image/gif", "image/png", "image/apng", "image/webp", "image/jpeg", "image/svg+xml"];
+const SPRITE_MAX_BYTES = 8 * 1024 * 1024;
+const SPRITE_MAX_SIZE = 4096;
+// 所有帧加起来的像素上限（约 256MB RGBA），防止高压缩率的大尺寸多帧动画占满内存
+const SPRITE_MAX_TOTAL_PIXELS = 64 * 1024 * 1024;
+const SVG_RASTER_SIZE = 256;
+// 纯 JS GIF 解码每段最多占用主线程的时间
+const GIF_DECODE_SLICE_MS = 8;
+// 精灵表：把一张图按网格切成帧
+const SPRITE_SHEET_RANGES = {
+    columns: { min: 1, max: 64 },
+    rows: { min: 1, max: 64 },
+    frameCount: { min: 1, max: 4096 },
+    fps: { min: 1, max: 60 }
+};
+const DEFAULT_SPRITE_SHEET = Object.freeze({ enabled: false, columns: 4, rows: 1, frameCount: 4, fps: 12 });
+// 精灵表设置跟着图片走：图库里的图片存在条目的 sheet 上，直接输入的 URL 用 gifSheet
+const gifSheet = Object.assign({}, DEFAULT_SPRITE_SHEET);
+let spritePreview = null; // 侧边栏缩略图 { canvas, info }
+// 精灵图库：保存在 IndexedDB，条目为 { id, name, data, created }，data 是图片 URL 或 base64
+const SPRITE_DB_NAME = "LinkFX";
+const SPRITE_DB_STORE = "sprites";
+const SPRITE_NONE = "None";
+const GRAPH_SPRITE_KEY = "linkfx_sprites"; // app.graph.extra 中按连线 id 保存的图库 id
+const spriteLibrary = new Map();
+let spriteLibraryReady = false;
+let spriteDbPromise = null;
+const linkTypeSprites = {}; // 连线类型 → 图库 id（或 SPRITE_NONE）
+
+const DEFAULT_TARGET_FPS = 45;
+let targetFps = DEFAULT_TARGET_FPS;
+
+// Quality governor: steps down a tier when the patched link rendering keeps
+// going over budget, and back up once it has been comfortably under for a while.
+const QUALITY_TIERS = [
+    { id: "high", label: "High", fpsScale: 1, particles: 1, shadows: true, plainBelowLength: 0 },
+    { id: "medium", label: "Medium", fpsScale: 0.75, particles: 0.6, shadows: false, plainBelowLength: 30 },
+    { id: "low", label: "Low", fpsScale: 0.5, particles: 0.3, shadows: false, plainBelowLength: 80 }
+];
+const RENDER_BUDGET_MS = 8;
+const QUALITY_DOWNGRADE_FRAMES = 30;
+const QUALITY_UPGRADE_FRAMES = 120;
+let adaptiveQuality = true;
+let qualityTier = 0;
+let frameRenderCost = 0;
+let renderCostAvg = 0;
+let overBudgetFrames = 0;
+let underBudgetFrames = 0;
+let qualityIndicator = null;
+
+// Level of detail by zoom: below lodSimpleZoom effects collapse to a plain colored
+// stroke, above lodDetailZoom they draw extra detail.
+const DEFAULT_LOD_SIMPLE_ZOOM = 0.5;
+const DEFAULT_LOD_DETAIL_ZOOM = 1.5;
+let lodSimpleZoom = DEFAULT_LOD_SIMPLE_ZOOM;
+let lodDetailZoom = DEFAULT_LOD_DETAIL_ZOOM;
+const LOD_DETAIL = { simple: 0, normal: 1, detailed: 1.5 };
+
+// Optional overlay path: animated links are recorded while LiteGraph draws the
+// connections and redrawn on their own canvas, so animation doesn't repaint nodes.
+let overlayRendering = false;
+let overlayCanvas = null;
+const overlayLinks = [];
+let overlayTransform = null;
+let overlayDirty = false;
+let originalDrawConnections = null;
+let patchedDrawConnections = null;
+
+const DEFAULT_ROPE_CONFIG = Object.freeze({
+    segments: 8,
+    segmentLength: 40,
+    slack: 0,
+    gravity: 0.6,
+    damping: 0.985,
+    stiffness: 0.25,
+    iterations: 4,
+    momentumTransfer: 0.7
+});
+const ropeConfig = Object.assign({}, DEFAULT_ROPE_CONFIG);
+// Long wires get more segments (one per segmentLength px) so they don't look polygonal.
+const ROPE_MAX_SEGMENTS = 64;
+
+const ROPE_CONFIG_RANGES = {
+    segments: { name: "Minimum rope segments", label: "Min segments", min: 4, max: 32, step: 1 },
+    segmentLength: { name: "Rope segment length (px)", label: "Segment length", min: 10, max: 120, step: 5 },
+    slack: { name: "Rope slack (extra length)", label: "Slack", min: 0, max: 0.5, step: 0.01 },
+    gravity: { name: "Rope gravity", label: "Gravity", min: 0, max: 2, step: 0.05 },
+    damping: { name: "Rope damping", label: "Damping", min: 0.9, max: 1, step: 0.001 },
+    stiffness: { name: "Rope stiffness", label: "Stiffness", min: 0.05, max: 1, step: 0.05 },
+    iterations: { name: "Rope solver iterations", label: "Iterations", min: 1, max: 12, step: 1 },
+    momentumTransfer: { name: "Rope momentum transfer", label: "Momentum", min: 0, max: 1, step: 0.05 }
+};
+
+// Alt-drag grabs the nearest rope point; a short alt-click plucks the wire instead.
+let ropeInteraction = true;
+let ropeGrab = null;
+let ropeInteractionRegistered = false;
+const ROPE_GRAB_RADIUS = 10; // screen px
+const ROPE_PLUCK_STRENGTH = 8;
+const ROPE_PLUCK_MAX_MS = 250;
+
+// Optional collision with node (and group) boxes, looked up through a coarse spatial grid.
+let ropeCollision = false;
+let ropeCollideGroups = false;
+const COLLISION_CELL_SIZE = 200;
+const COLLISION_PADDING = 4;
+const COLLISION_FRICTION = 0.6;
+let obstacleGrid = null;
+
+// Extra forces on rope points besides gravity, all off by default.
+const DEFAULT_ROPE_FORCES = Object.freeze({
+    wind: false,
+    windDirection: 0, // degrees, 0 blows to the right, 90 down
+    windStrength: 0.3,
+    windGusts: 0.5,
+    pointerField: "off",
+    pointerStrength: 0.5,
+    idleSway: false
+});
+const ropeForces = Object.assign({}, DEFAULT_ROPE_FORCES);
+const ROPE_FORCE_RANGES = {
+    windDirection: { label: "Wind direction", min: 0, max: 360, step: 5 },
+    windStrength: { label: "Wind strength", min: 0, max: 1, step: 0.05 },
+    windGusts: { label: "Gusts", min: 0, max: 1, step: 0.05 },
+    pointerStrength: { label: "Pointer strength", min: 0.05, max: 1, step: 0.05 }
+};
+const POINTER_FIELDS = [
+    { id: "off", label: "Pointer off" },
+    { id: "repel", label: "Repel" },
+    { id: "attract", label: "Attract" }
+];
+const POINTER_FIELD_RADIUS = 120;
+let ropePointer = null; // pointer position in graph space while it is over the canvas
+let ropeSimTime = 0;
+
+// Ropes grow or shrink towards their new length over a few steps instead of being rebuilt, so a
+// quick drag stretches them. Tension is measured against the rope's settled stretch.
+let ropeTensionColor = true;
+let ropeSnap = false;
+const ROPE_LENGTH_EASE = 0.08; // share of the length difference taken up per step
+const ROPE_SETTLE_STEPS = 10; // still steps before the settled stretch is re-measured
+const ROPE_TENSION_START = 1.1;
+const ROPE_TENSION_FULL = 1.5;
+const ROPE_SNAP_TENSION = 1.5;
+const ROPE_SNAP_MS = 600;
+
+const ROPE_PRESETS = [
+    { id: "cable", label: "Tight cable", values: { segments: 6, segmentLength: 60, slack: 0, gravity: 0.3, damping: 0.95, stiffness: 0.9, iterations: 8, momentumTransfer: 0.3 } },
+    { id: "rope", label: "Loose rope", values: { segments: 8, segmentLength: 40, slack: 0.12, gravity: 0.6, damping: 0.985, stiffness: 0.5, iterations: 4, momentumTransfer: 0.7 } },
+    { id: "chain", label: "Chain", values: { segments: 12, segmentLength: 20, slack: 0.06, gravity: 1.4, damping: 0.99, stiffness: 1, iterations: 10, momentumTransfer: 0.9 } },
+    { id: "spring", label: "Spring", values: { segments: 8, segmentLength: 40, slack: 0, gravity: 0.4, damping: 0.995, stiffness: 0.1, iterations: 2, momentumTransfer: 1 } }
+];
 
-const ROPE_SEGMENTS = 8;
-const ROPE_GRAVITY = 0.6;
-const ROPE_DAMPING = 0.985;
-const ROPE_STIFFNESS = 0.25;
-const ROPE_ITERATIONS = 4;
-const ROPE_MOMENTUM_TRANSFER = 0.7;
+const SETTINGS_STORAGE_KEY = "LinkFX.settings";
+const SETTINGS_VERSION = 3;
+const SETTINGS_SAVE_DELAY = 300;
+let settingsSaveTimer = null;
+// ComfyUI reports stored values while registering settings, before init reads the local store
+let settingsLoaded = false;
+
+// Keyed by the version a migration upgrades *from*; each returns the next version's shape.
+const SETTINGS_MIGRATIONS = {
+    // v1 referenced effects by display name; v2 uses registry ids.
+    1: function (data) {
+        if (typeof data.effect === "string") data.effect = resolveEffectId(data.effect);
+        if (data.linkTypeEffects && typeof data.linkTypeEffects === "object") {
+            for (const type in data.linkTypeEffects) {
+                const value = data.linkTypeEffects[type];
+                if (value !== LINK_TYPE_NO_EFFECT) data.linkTypeEffects[type] = resolveEffectId(value);
+            }
+        }
+        return data;
+    },
+    // v2 kept a picked file as a base64 gifUrl in localStorage; v3 keeps it in the sprite library.
+    2: function (data) {
+        if (typeof data.gifUrl === "string" && data.gifUrl.startsWith("data:")) {
+            data.legacyGifData = data.gifUrl;
+            data.gifUrl = "";
+        }
+        return data;
+    }
+};
 
 const ANIMATION_MODES = [
     { id: "static", icon: "\u23F8\uFE0F", label: "Static" },
     { id: "full", icon: "\uD83C\uDFAC", label: "Full Animation" },
-    { id: "selected", icon: "\uD83C\uDFAF", label: "Selected Node" }
+    { id: "selected", icon: "\uD83C\uDFAF", label: "Selected Node" },
+    { id: "execution", icon: "\u25B6\uFE0F", label: "Running Node" }
 ];
 
+// Execution state for the "execution" animation mode, fed by ComfyUI's API events.
+let executingNodeId = null;
+const completedNodeIds = new Set();
+let dimCompletedLinks = true;
+const DIMMED_LINK_ALPHA = 0.35;
+
 const DEBUG = false; // 调试模式（生产环境应设为 false）
 const log = (...args) => { if (DEBUG) console.info(LOG_PREFIX, ...args); };
 const warn = (...args) => console.warn(LOG_PREFIX, ...args);
 
-function bezierPoint(t, a, b, cp) {
+function bezierPoint(t, p0, p1, p2, p3) {
     const mt = 1 - t;
     const mt2 = mt * mt;
     const mt3 = mt2 * mt;
     const t2 = t * t;
     const t3 = t2 * t;
-    const cpA = a[0] + cp;
-    const cpB = b[0] - cp;
     return [
-        mt3 * a[0] + 3 * mt2 * t * cpA + 3 * mt * t2 * cpB + t3 * b[0],
-        mt3 * a[1] + 3 * mt2 * t * a[1] + 3 * mt * t2 * b[1] + t3 * b[1]
+        mt3 * p0[0] + 3 * mt2 * t * p1[0] + 3 * mt * t2 * p2[0] + t3 * p3[0],
+        mt3 * p0[1] + 3 * mt2 * t * p1[1] + 3 * mt * t2 * p2[1] + t3 * p3[1]
     ];
 }
 
-function drawBezier(ctx, a, b, cp) {
-    ctx.beginPath();
-    ctx.moveTo(a[0], a[1]);
-    ctx.bezierCurveTo(a[0] + cp, a[1], b[0] - cp, b[1], b[0], b[1]);
-    ctx.stroke();
+function getLiteGraphConstant(name, fallback) {
+    const LiteGraph = typeof globalThis !== "undefined" ? globalThis.LiteGraph : null;
+    return LiteGraph && LiteGraph[name] !== undefined ? LiteGraph[name] : fallback;
+}
+
+function offsetInDirection(point, dir, amount) {
+    const out = [point[0], point[1]];
+    if (dir === getLiteGraphConstant("LEFT", 3)) out[0] -= amount;
+    else if (dir === getLiteGraphConstant("RIGHT", 4)) out[0] += amount;
+    else if (dir === getLiteGraphConstant("UP", 1)) out[1] -= amount;
+    else if (dir === getLiteGraphConstant("DOWN", 2)) out[1] += amount;
+    return out;
+}
+
+// Mirrors the geometry LGraphCanvas.renderLink strokes, so effects follow the real wire.
+// linkId is optional; with it the bezier arc-length table is cached across frames.
+function createLinkPath(a, b, ropePoints, renderMode, startDir, endDir, options, linkId) {
+    if (ropePoints && ropePoints.length >= 2) {
+        return { a: a, b: b, rope: ropePoints };
+    }
+    startDir = startDir || getLiteGraphConstant("RIGHT", 4);
+    endDir = endDir || getLiteGraphConstant("LEFT", 3);
+    const startControl = options && options.startControl;
+    const endControl = options && options.endControl;
+
+    if (renderMode === getLiteGraphConstant("LINEAR_LINK", 1)) {
+        const innerA = startControl ? [a[0] + startControl[0], a[1] + startControl[1]] : offsetInDirection(a, startDir, 15);
+        const innerB = endControl ? [b[0] + endControl[0], b[1] + endControl[1]] : offsetInDirection(b, endDir, 15);
+        return createPolylinePath(a, b, [a, innerA, innerB, b]);
+    }
+    if (renderMode === getLiteGraphConstant("STRAIGHT_LINK", 0)) {
+        let startX = a[0];
+        let startY = a[1];
+        let endX = b[0];
+        let endY = b[1];
+        if (startDir === getLiteGraphConstant("RIGHT", 4)) startX += 10;
+        else startY += 10;
+        if (endDir === getLiteGraphConstant("LEFT", 3)) endX -= 10;
+        else endY -= 10;
+        const midX = (startX + endX) * 0.5;
+        return createPolylinePath(a, b, [a, [startX, startY], [midX, startY], [midX, endY], [endX, endY], b]);
+    }
+
+    const dist = Math.hypot(b[0] - a[0], b[1] - a[1]) * 0.25;
+    const c1 = startControl ? [a[0] + startControl[0], a[1] + startControl[1]] : offsetInDirection(a, startDir, dist);
+    const c2 = endControl ? [b[0] + endControl[0], b[1] + endControl[1]] : offsetInDirection(b, endDir, dist);
+    return { a: a, b: b, c1: c1, c2: c2, linkId: linkId != null ? linkId : null };
+}
+
+function createPolylinePath(a, b, points) {
+    const lengths = [0];
+    for (let i = 1; i < points.length; i++) {
+        lengths.push(lengths[i - 1] + Math.hypot(points[i][0] - points[i - 1][0], points[i][1] - points[i - 1][1]));
+    }
+    return { a: a, b: b, points: points, lengths: lengths };
 }
 
 function getRopeKey(link, a, b) {
@@ -74,9 +350,13 @@ function getRopeKey(link, a, b) {
     return "pos_" + Math.round(a[0] / 10) + "_" + Math.round(a[1] / 10) + "_" + Math.round(b[0] / 10) + "_" + Math.round(b[1] / 10);
 }
 
+function getRopeSegmentCount(len) {
+    return Math.min(ROPE_MAX_SEGMENTS, Math.max(ropeConfig.segments, Math.ceil(len / ropeConfig.segmentLength)));
+}
+
 function createRopeState(a, b, len) {
     const points = [];
-    const numPoints = ROPE_SEGMENTS + 1;
+    const numPoints = getRopeSegmentCount(len) + 1;
     const now = performance?.now?.() ?? Date.now();
 
     for (let i = 0; i < numPoints; i++) {
@@ -96,9 +376,18 @@ function createRopeState(a, b, len) {
 
     return {
         points,
-        segmentLen: len / (numPoints - 1),
+        swayPhase: Math.random() * Math.PI * 2,
+        restLen: len * (1 + ropeConfig.slack),
+        restStretch: 0, // measured on the first step
+        tension: 1,
+        stillSteps: ROPE_SETTLE_STEPS,
         lastA: [...a],
         lastB: [...b],
+        // Where the endpoints were last drawn; the next step pulls the rope towards them
+        targetA: [...a],
+        targetB: [...b],
+        len: len,
+        frozen: false,
         lastSeen: now
     };
 }
@@ -116,7 +405,7 @@ function updateRopePhysics(state, a, b, len) {
     if (startMoved > 0.1) {
         const halfLen = Math.floor(points.length / 2);
         for (let i = 1; i < halfLen; i++) {
-            const influence = Math.pow(1 - (i / halfLen), 2) * ROPE_MOMENTUM_TRANSFER;
+            const influence = Math.pow(1 - (i / halfLen), 2) * ropeConfig.momentumTransfer;
             points[i].oldX -= dxStart * influence;
             points[i].oldY -= dyStart * influence;
         }
@@ -125,7 +414,7 @@ function updateRopePhysics(state, a, b, len) {
         const halfLen = Math.floor(points.length / 2);
         for (let i = points.length - 2; i >= points.length - halfLen; i--) {
             const distFromEnd = points.length - 1 - i;
-            const influence = Math.pow(1 - (distFromEnd / halfLen), 2) * ROPE_MOMENTUM_TRANSFER;
+            const influence = Math.pow(1 - (distFromEnd / halfLen), 2) * ropeConfig.momentumTransfer;
             points[i].oldX -= dxEnd * influence;
             points[i].oldY -= dyEnd * influence;
         }
@@ -141,18 +430,35 @@ function updateRopePhysics(state, a, b, len) {
     points[points.length - 1].oldX = b[0];
     points[points.length - 1].oldY = b[1];
 
+    const grabbed = state.grab ? points[state.grab.index] : null;
+    const force = [0, 0];
+    const hasForces = ropeForces.wind || ropeForces.idleSway || (ropeForces.pointerField !== "off" && ropePointer);
     for (let i = 1; i < points.length - 1; i++) {
         const p = points[i];
-        const vx = (p.x - p.oldX) * ROPE_DAMPING;
-        const vy = (p.y - p.oldY) * ROPE_DAMPING;
+        if (p === grabbed) {
+            // Follow the pointer; oldX keeps the last step so the rope swings on release
+            p.oldX = p.x;
+            p.oldY = p.y;
+            p.x = state.grab.x;
+            p.y = state.grab.y;
+            continue;
+        }
+        const vx = (p.x - p.oldX) * ropeConfig.damping;
+        const vy = (p.y - p.oldY) * ropeConfig.damping;
         p.oldX = p.x;
         p.oldY = p.y;
         p.x += vx;
-        p.y += vy + ROPE_GRAVITY;
+        p.y += vy + ropeConfig.gravity;
+        if (hasForces) {
+            getRopeForce(state, p, i, force);
+            p.x += force[0];
+            p.y += force[1];
+        }
     }
 
-    const targetLen = len / (points.length - 1);
-    for (let iter = 0; iter < ROPE_ITERATIONS; iter++) {
+    state.restLen += (len * (1 + ropeConfig.slack) - state.restLen) * ROPE_LENGTH_EASE;
+    const targetLen = state.restLen / (points.length - 1);
+    for (let iter = 0; iter < ropeConfig.iterations; iter++) {
         for (let i = 0; i < points.length - 1; i++) {
             const p1 = points[i];
             const p2 = points[i + 1];
@@ -163,22 +469,112 @@ function updateRopePhysics(state, a, b, len) {
             const diff = (targetLen - dist) / dist;
             const offsetX = dx * diff * 0.5;
             const offsetY = dy * diff * 0.5;
-            if (!p1.pinned) {
-                p1.x -= offsetX * ROPE_STIFFNESS;
-                p1.y -= offsetY * ROPE_STIFFNESS;
+            if (!p1.pinned && p1 !== grabbed) {
+                p1.x -= offsetX * ropeConfig.stiffness;
+                p1.y -= offsetY * ropeConfig.stiffness;
             }
-            if (!p2.pinned) {
-                p2.x += offsetX * ROPE_STIFFNESS;
-                p2.y += offsetY * ROPE_STIFFNESS;
+            if (!p2.pinned && p2 !== grabbed) {
+                p2.x += offsetX * ropeConfig.stiffness;
+                p2.y += offsetY * ropeConfig.stiffness;
             }
         }
+        if (ropeCollision) resolveRopeCollisions(state, grabbed);
     }
     state.lastA = [...a];
     state.lastB = [...b];
-    return points;
+    updateRopeTension(state, startMoved > 0.1 || endMoved > 0.1);
+    if (ropeSnap && state.tension > ROPE_SNAP_TENSION && !state.snap) snapRope(state, a, b, len);
+    return state.points;
+}
+
+// Tension is the rope's stretch relative to how far it stretches at rest, so presets that
+// always hang a little long (spring) don't read as taut. The rest value only updates while
+// nothing is pulling on the rope.
+function updateRopeTension(state, moving) {
+    const { points } = state;
+    let length = 0;
+    for (let i = 1; i < points.length; i++) {
+        length += Math.hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y);
+    }
+    const stretch = length / Math.max(1, state.restLen);
+    state.stillSteps = moving || state.grab ? 0 : state.stillSteps + 1;
+    if (!state.restStretch) {
+        state.restStretch = stretch;
+    } else if (state.stillSteps >= ROPE_SETTLE_STEPS) {
+        state.restStretch += (stretch - state.restStretch) * 0.1;
+    }
+    state.tension = stretch / state.restStretch;
+}
+
+// Purely visual: the taut rope is kept for the recoil animation and replaced by a relaxed one.
+// The link itself stays connected.
+function snapRope(state, a, b, len) {
+    if (ropeGrab && ropeGrab.state === state) releaseRopeGrab();
+    const fresh = createRopeState(a, b, len);
+    state.snap = {
+        start: performance.now(),
+        points: state.points.map(function (p) { return { x: p.x, y: p.y }; })
+    };
+    state.points = fresh.points;
+    state.restLen = fresh.restLen;
+    state.restStretch = 0;
+    state.tension = 1;
+}
+
+// Nodes may have moved while the rope was off-screen. Restart it from rest at the new spot
+// instead of feeding the whole move into one step of momentum transfer.
+function thawRope(state, a, b, len) {
+    const moved = Math.hypot(a[0] - state.lastA[0], a[1] - state.lastA[1]) + Math.hypot(b[0] - state.lastB[0], b[1] - state.lastB[1]);
+    if (moved > 1) {
+        const fresh = createRopeState(a, b, len);
+        state.points = fresh.points;
+        state.restLen = fresh.restLen;
+        state.restStretch = 0;
+        state.tension = 1;
+    } else {
+        for (const p of state.points) {
+            p.oldX = p.x;
+            p.oldY = p.y;
+        }
+    }
+    state.lastA = [a[0], a[1]];
+    state.lastB = [b[0], b[1]];
+}
+
+// Spreads the rope over a new number of points along its current shape, keeping velocities.
+function resampleRope(state, count) {
+    const old = state.points;
+    const lengths = [0];
+    for (let i = 1; i < old.length; i++) {
+        lengths.push(lengths[i - 1] + Math.hypot(old[i].x - old[i - 1].x, old[i].y - old[i - 1].y));
+    }
+    const total = lengths[lengths.length - 1];
+    const points = [];
+    for (let k = 0; k <= count; k++) {
+        const i = findLengthSegment(lengths, total * k / count);
+        const span = lengths[i] - lengths[i - 1];
+        const f = span > 0 ? (total * k / count - lengths[i - 1]) / span : 0;
+        const p1 = old[i - 1];
+        const p2 = old[i];
+        points.push({
+            x: p1.x + (p2.x - p1.x) * f,
+            y: p1.y + (p2.y - p1.y) * f,
+            oldX: p1.oldX + (p2.oldX - p1.oldX) * f,
+            oldY: p1.oldY + (p2.oldY - p1.oldY) * f,
+            pinned: k === 0 || k === count
+        });
+    }
+    state.points = points;
+    if (state.grab) {
+        const index = Math.min(count - 1, Math.max(1, Math.round(state.grab.index * count / (old.length - 1))));
+        state.grab.index = index;
+        if (ropeGrab && ropeGrab.state === state) ropeGrab.index = index;
+    }
 }
 
-function getRopePoints(link, a, b, len) {
+// Records where the link is drawn and returns the rope's current points; simulation happens in
+// stepRopes. Off-screen ropes are frozen and keep their last state.
+function getRopePoints(link, a, b, len, frozen) {
     if (!gravityEnabled) return null;
     const key = getRopeKey(link, a, b);
     if (!ropePhysics.has(key)) {
@@ -187,6 +583,9 @@ function getRopePoints(link, a, b, len) {
     const state = ropePhysics.get(key);
     const now = performance?.now?.() ?? Date.now();
     state.lastSeen = now;
+    // The wire's own nodes never count as obstacles
+    state.originId = link ? link.origin_id : null;
+    state.targetId = link ? link.target_id : null;
 
     if (ropePhysics.size > 60 && now - lastRopeCleanup > 3000) {
         for (const [ropeKey, value] of ropePhysics) {
@@ -197,12 +596,319 @@ function getRopePoints(link, a, b, len) {
         lastRopeCleanup = now;
     }
 
-    const expectedLen = len / ROPE_SEGMENTS;
-    if (Math.abs(state.segmentLen - expectedLen) > 20) {
-        ropePhysics.set(key, createRopeState(a, b, len));
-        return ropePhysics.get(key).points;
+    const wasFrozen = state.frozen;
+    state.frozen = !!frozen;
+    if (frozen) return state.points;
+    if (wasFrozen) thawRope(state, a, b, len);
+    const segments = state.points.length - 1;
+    // Only resample for a clearly different segment count, not on every step across a boundary
+    const count = getRopeSegmentCount(len);
+    if (Math.abs(count - segments) > Math.max(2, segments * 0.25)) resampleRope(state, count);
+    state.targetA = [a[0], a[1]];
+    state.targetB = [b[0], b[1]];
+    state.len = len;
+    // Keep the ends glued to the slots between steps
+    const first = state.points[0];
+    const last = state.points[state.points.length - 1];
+    first.x = first.oldX = a[0];
+    first.y = first.oldY = a[1];
+    last.x = last.oldX = b[0];
+    last.y = last.oldY = b[1];
+    return state.points;
+}
+
+// Smooth pseudo-random signal in [-1, 1]; incommensurate frequencies keep it from visibly repeating.
+function gustNoise(t) {
+    return (Math.sin(t * 0.7) + Math.sin(t * 1.9 + 1.3) * 0.5 + Math.sin(t * 4.3 + 2.1) * 0.25) / 1.75;
+}
+
+// Wind, pointer field and idle sway for one point, written into out as a per-step displacement.
+function getRopeForce(state, p, index, out) {
+    let fx = 0;
+    let fy = 0;
+    const t = ropeSimTime * 0.001;
+    if (ropeForces.wind) {
+        // Offsetting the noise by x makes gusts roll across the graph instead of hitting every wire at once
+        const gust = gustNoise(t - p.x * 0.004);
+        const strength = ropeForces.windStrength * 0.25 * Math.max(0, 1 + ropeForces.windGusts * gust);
+        const angle = ropeForces.windDirection * Math.PI / 180;
+        fx += Math.cos(angle) * strength;
+        fy += Math.sin(angle) * strength;
+    }
+    if (ropeForces.pointerField !== "off" && ropePointer) {
+        const dx = p.x - ropePointer[0];
+        const dy = p.y - ropePointer[1];
+        const dist = Math.hypot(dx, dy);
+        if (dist > 0.001 && dist < POINTER_FIELD_RADIUS) {
+            const falloff = Math.pow(1 - dist / POINTER_FIELD_RADIUS, 2);
+            const push = ropeForces.pointerStrength * 1.5 * falloff * (ropeForces.pointerField === "attract" ? -1 : 1);
+            fx += dx / dist * push;
+            fy += dy / dist * push;
+        }
+    }
+    if (ropeForces.idleSway) {
+        const points = state.points;
+        const first = points[0];
+        const last = points[points.length - 1];
+        const chord = Math.hypot(last.x - first.x, last.y - first.y) || 1;
+        const sway = Math.sin(t * 1.5 + state.swayPhase + index * 0.3) * 0.08;
+        fx += -(last.y - first.y) / chord * sway;
+        fy += (last.x - first.x) / chord * sway;
+    }
+    out[0] = fx;
+    out[1] = fy;
+}
+
+function setRopeForceValue(key, value) {
+    const range = ROPE_FORCE_RANGES[key];
+    ropeForces[key] = clampNumber(value, range.min, range.max, ropeForces[key]);
+}
+
+// One fixed step for every rope that is on screen and still being drawn.
+function stepRopes() {
+    ropeSimTime += ROPE_TIMESTEP;
+    const now = performance.now();
+    for (const state of ropePhysics.values()) {
+        if (state.frozen || now - state.lastSeen > 1000) continue;
+        updateRopePhysics(state, state.targetA, state.targetB, state.len);
+    }
+}
+
+// Returns true when at least one step ran.
+function advanceRopes(time) {
+    const dt = lastRopeTick ? time - lastRopeTick : ROPE_TIMESTEP;
+    lastRopeTick = time;
+    if (!gravityEnabled || ropePhysics.size === 0) {
+        ropeAccumulator = 0;
+        return false;
+    }
+    ropeAccumulator = Math.min(ropeAccumulator + Math.max(0, dt), ROPE_TIMESTEP * ROPE_MAX_STEPS);
+    let stepped = false;
+    while (ropeAccumulator >= ROPE_TIMESTEP) {
+        stepRopes();
+        ropeAccumulator -= ROPE_TIMESTEP;
+        stepped = true;
+    }
+    return stepped;
+}
+
+// ========== Rope collision ==========
+
+function getNodeBox(node) {
+    if (typeof node.getBounding === "function") return node.getBounding();
+    const titleHeight = getLiteGraphConstant("NODE_TITLE_HEIGHT", 30);
+    return [node.pos[0], node.pos[1] - titleHeight, node.size[0], node.size[1] + titleHeight];
+}
+
+function getGroupBox(group) {
+    return group._bounding || group.bounding || null;
+}
+
+function getCollisionCellKey(cx, cy) {
+    return (cx + 32768) * 65536 + (cy + 32768);
+}
+
+// Rebuilt at most once per frame; each cell lists the boxes overlapping it.
+function getObstacleGrid() {
+    const now = performance.now();
+    if (obstacleGrid && now - obstacleGrid.builtAt < 16) return obstacleGrid;
+    const cells = new Map();
+    const add = function (box, nodeId, isGroup) {
+        const obstacle = {
+            x0: box[0] - COLLISION_PADDING,
+            y0: box[1] - COLLISION_PADDING,
+            x1: box[0] + box[2] + COLLISION_PADDING,
+            y1: box[1] + box[3] + COLLISION_PADDING,
+            nodeId: nodeId,
+            isGroup: isGroup
+        };
+        const cx0 = Math.floor(obstacle.x0 / COLLISION_CELL_SIZE);
+        const cx1 = Math.floor(obstacle.x1 / COLLISION_CELL_SIZE);
+        const cy0 = Math.floor(obstacle.y0 / COLLISION_CELL_SIZE);
+        const cy1 = Math.floor(obstacle.y1 / COLLISION_CELL_SIZE);
+        for (let cx = cx0; cx <= cx1; cx++) {
+            for (let cy = cy0; cy <= cy1; cy++) {
+                const key = getCollisionCellKey(cx, cy);
+                let list = cells.get(key);
+                if (!list) cells.set(key, list = []);
+                list.push(obstacle);
+            }
+        }
+    };
+    const graph = app && app.graph;
+    const nodes = (graph && (graph._nodes || graph.nodes)) || [];
+    for (const node of nodes) {
+        if (!node || !node.pos || !node.size) continue;
+        const box = getNodeBox(node);
+        if (box) add(box, node.id, false);
+    }
+    if (ropeCollideGroups) {
+        const groups = (graph && (graph._groups || graph.groups)) || [];
+        for (const group of groups) {
+            const box = group && getGroupBox(group);
+            if (box) add(box, null, true);
+        }
+    }
+    obstacleGrid = { cells: cells, builtAt: now };
+    return obstacleGrid;
+}
+
+function containsPoint(obstacle, x, y) {
+    return x > obstacle.x0 && x < obstacle.x1 && y > obstacle.y0 && y < obstacle.y1;
+}
+
+// Push points out of boxes through the nearest edge; friction makes them rest on top instead of sliding off.
+function resolveRopeCollisions(state, grabbed) {
+    const cells = getObstacleGrid().cells;
+    const points = state.points;
+    const first = points[0];
+    const last = points[points.length - 1];
+    for (let i = 1; i < points.length - 1; i++) {
+        const p = points[i];
+        if (p === grabbed) continue;
+        const list = cells.get(getCollisionCellKey(Math.floor(p.x / COLLISION_CELL_SIZE), Math.floor(p.y / COLLISION_CELL_SIZE)));
+        if (!list) continue;
+        for (const obstacle of list) {
+            if (!containsPoint(obstacle, p.x, p.y)) continue;
+            if (obstacle.nodeId !== null && (obstacle.nodeId === state.originId || obstacle.nodeId === state.targetId)) continue;
+            // A wire between two nodes inside a group stays inside it
+            if (obstacle.isGroup && (containsPoint(obstacle, first.x, first.y) || containsPoint(obstacle, last.x, last.y))) continue;
+            const left = p.x - obstacle.x0;
+            const right = obstacle.x1 - p.x;
+            const top = p.y - obstacle.y0;
+            const bottom = obstacle.y1 - p.y;
+            const min = Math.min(left, right, top, bottom);
+            if (min === top) {
+                p.y = obstacle.y0;
+                p.oldY = p.y;
+                p.oldX = p.x - (p.x - p.oldX) * COLLISION_FRICTION;
+            } else if (min === bottom) {
+                p.y = obstacle.y1;
+                p.oldY = p.y;
+            } else {
+                p.x = min === left ? obstacle.x0 : obstacle.x1;
+                p.oldX = p.x;
+            }
+        }
     }
-    return updateRopePhysics(state, a, b, len);
+}
+
+// ========== Rope interaction ==========
+
+function getGraphPointerPos(e) {
+    const canvas = app.canvas;
+    const rect = canvas.canvas.getBoundingClientRect();
+    const pos = [e.clientX - rect.left, e.clientY - rect.top];
+    if (canvas.ds && typeof canvas.ds.convertCanvasToOffset === "function") return canvas.ds.convertCanvasToOffset(pos);
+    const scale = (canvas.ds && canvas.ds.scale) || 1;
+    const offset = (canvas.ds && canvas.ds.offset) || [0, 0];
+    return [pos[0] / scale - offset[0], pos[1] / scale - offset[1]];
+}
+
+// Nearest free point of a recently drawn rope within the grab radius.
+// Hit-tests every segment, so the whole wire is grabbable and not just its vertices. Returns
+// the free point nearest to the hit.
+function findRopePointAt(x, y) {
+    const scale = (app.canvas.ds && app.canvas.ds.scale) || 1;
+    const radius = ROPE_GRAB_RADIUS / scale;
+    const now = performance.now();
+    let best = null;
+    let bestDist = radius * radius;
+    for (const state of ropePhysics.values()) {
+        if (now - state.lastSeen > 500) continue;
+        const points = state.points;
+        if (points.length < 3) continue;
+        for (let i = 0; i < points.length - 1; i++) {
+            const p1 = points[i];
+            const p2 = points[i + 1];
+            const sx = p2.x - p1.x;
+            const sy = p2.y - p1.y;
+            const lengthSq = sx * sx + sy * sy;
+            const t = lengthSq > 0 ? Math.max(0, Math.min(1, ((x - p1.x) * sx + (y - p1.y) * sy) / lengthSq)) : 0;
+            const dx = p1.x + sx * t - x;
+            const dy = p1.y + sy * t - y;
+            const dist = dx * dx + dy * dy;
+            if (dist < bestDist) {
+                bestDist = dist;
+                const index = t < 0.5 ? i : i + 1;
+                best = { state: state, index: Math.max(1, Math.min(points.length - 2, index)) };
+            }
+        }
+    }
+    return best;
+}
+
+// Kick the wire sideways, strongest at the plucked point and fading to the pinned ends.
+function pluckRope(state, index) {
+    const points = state.points;
+    const first = points[0];
+    const last = points[points.length - 1];
+    const chord = Math.hypot(last.x - first.x, last.y - first.y) || 1;
+    const nx = -(last.y - first.y) / chord;
+    const ny = (last.x - first.x) / chord;
+    const n = points.length - 1;
+    for (let i = 1; i < n; i++) {
+        const falloff = i <= index ? i / index : (n - i) / (n - index);
+        points[i].oldX -= nx * ROPE_PLUCK_STRENGTH * falloff;
+        points[i].oldY -= ny * ROPE_PLUCK_STRENGTH * falloff;
+    }
+}
+
+function releaseRopeGrab() {
+    if (!ropeGrab) return;
+    if (ropeGrab.state.grab) delete ropeGrab.state.grab;
+    if (app.canvas && app.canvas.canvas) app.canvas.canvas.style.cursor = "";
+    ropeGrab = null;
+}
+
+function onRopePointerDown(e) {
+    if (!ropeInteraction || !gravityEnabled || !e.altKey || e.button !== 0) return;
+    const canvas = app && app.canvas;
+    if (!canvas || e.target !== canvas.canvas) return;
+    const pos = getGraphPointerPos(e);
+    // Alt-drag on a node clones it; leave that to LiteGraph
+    if (app.graph && typeof app.graph.getNodeOnPos === "function" && app.graph.getNodeOnPos(pos[0], pos[1])) return;
+    const hit = findRopePointAt(pos[0], pos[1]);
+    if (!hit) return;
+    e.preventDefault();
+    e.stopImmediatePropagation();
+    hit.state.grab = { index: hit.index, x: pos[0], y: pos[1] };
+    ropeGrab = { state: hit.state, index: hit.index, startX: e.clientX, startY: e.clientY, startTime: performance.now(), moved: false };
+    canvas.canvas.style.cursor = "grabbing";
+    if (typeof canvas.canvas.setPointerCapture === "function") canvas.canvas.setPointerCapture(e.pointerId);
+}
+
+function onRopePointerMove(e) {
+    if (gravityEnabled && ropeForces.pointerField !== "off" && app && app.canvas) {
+        ropePointer = e.target === app.canvas.canvas ? getGraphPointerPos(e) : null;
+    }
+    if (!ropeGrab) return;
+    e.stopImmediatePropagation();
+    if (Math.hypot(e.clientX - ropeGrab.startX, e.clientY - ropeGrab.startY) > 3) ropeGrab.moved = true;
+    const pos = getGraphPointerPos(e);
+    if (ropeGrab.state.grab) {
+        ropeGrab.state.grab.x = pos[0];
+        ropeGrab.state.grab.y = pos[1];
+    }
+}
+
+function onRopePointerUp(e) {
+    if (!ropeGrab) return;
+    e.stopImmediatePropagation();
+    const grab = ropeGrab;
+    releaseRopeGrab();
+    if (!grab.moved && performance.now() - grab.startTime < ROPE_PLUCK_MAX_MS) pluckRope(grab.state, grab.index);
+}
+
+// Capture listeners on window run before LiteGraph's own canvas handlers, so a grab never
+// turns into a selection rectangle or a link drag.
+function registerRopeInteraction() {
+    if (ropeInteractionRegistered) return;
+    ropeInteractionRegistered = true;
+    window.addEventListener("pointerdown", onRopePointerDown, true);
+    window.addEventListener("pointermove", onRopePointerMove, true);
+    window.addEventListener("pointerup", onRopePointerUp, true);
+    window.addEventListener("pointercancel", releaseRopeGrab, true);
 }
 
 function drawRope(ctx, points, color, lineWidth) {
@@ -223,9 +929,57 @@ function drawRope(ctx, points, color, lineWidth) {
     ctx.stroke();
 }
 
-function drawSmartCurve(ctx, a, b, cp, ropePoints) {
-    if (ropePoints && ropePoints.length >= 2) {
+// Draws a simulated rope with its tension tint and, right after a snap, the recoiling halves
+// of the old rope while the relaxed one fades in.
+function drawLinkRope(ctx, state, color, lineWidth) {
+    color = color || "rgba(150, 150, 150, 0.8)";
+    lineWidth = lineWidth || 2;
+    let alpha = 1;
+    if (state.snap) {
+        const progress = (performance.now() - state.snap.start) / ROPE_SNAP_MS;
+        if (progress >= 1) {
+            delete state.snap;
+        } else {
+            drawSnapRecoil(ctx, state.snap.points, color, lineWidth, progress);
+            alpha = progress * progress;
+        }
+    }
+    ctx.save();
+    ctx.globalAlpha *= alpha;
+    drawRope(ctx, state.points, color, lineWidth);
+    if (ropeTensionColor && state.tension > ROPE_TENSION_START) {
+        const k = Math.min(1, (state.tension - ROPE_TENSION_START) / (ROPE_TENSION_FULL - ROPE_TENSION_START));
+        drawRope(ctx, state.points, "rgba(255, 60, 40, " + (k * 0.9).toFixed(3) + ")", lineWidth + k);
+    }
+    ctx.restore();
+}
+
+// Each half of the broken rope shrinks back towards its slot and fades out, with a spark at the tip.
+function drawSnapRecoil(ctx, points, color, lineWidth, progress) {
+    const middle = Math.floor(points.length / 2);
+    const keep = 1 - progress;
+    const halves = [points.slice(0, middle + 1), points.slice(middle).reverse()];
+    ctx.save();
+    ctx.globalAlpha *= keep;
+    for (const half of halves) {
+        const anchor = half[0];
+        const recoiled = half.map(function (p) {
+            return { x: anchor.x + (p.x - anchor.x) * keep, y: anchor.y + (p.y - anchor.y) * keep };
+        });
+        drawRope(ctx, recoiled, color, lineWidth);
+        const tip = recoiled[recoiled.length - 1];
         ctx.beginPath();
+        ctx.arc(tip.x, tip.y, lineWidth * (1 + 2 * keep), 0, Math.PI * 2);
+        ctx.fillStyle = "rgba(255, 200, 120, 0.9)";
+        ctx.fill();
+    }
+    ctx.restore();
+}
+
+function drawSmartCurve(ctx, path) {
+    const ropePoints = path.rope;
+    ctx.beginPath();
+    if (ropePoints) {
         ctx.moveTo(ropePoints[0].x, ropePoints[0].y);
         for (let i = 1; i < ropePoints.length - 1; i++) {
             const xc = (ropePoints[i].x + ropePoints[i + 1].x) / 2;
@@ -233,70 +987,291 @@ function drawSmartCurve(ctx, a, b, cp, ropePoints) {
             ctx.quadraticCurveTo(ropePoints[i].x, ropePoints[i].y, xc, yc);
         }
         ctx.lineTo(ropePoints[ropePoints.length - 1].x, ropePoints[ropePoints.length - 1].y);
-        ctx.stroke();
+    } else if (path.points) {
+        ctx.moveTo(path.points[0][0], path.points[0][1]);
+        for (let i = 1; i < path.points.length; i++) {
+            ctx.lineTo(path.points[i][0], path.points[i][1]);
+        }
     } else {
-        drawBezier(ctx, a, b, cp);
+        ctx.moveTo(path.a[0], path.a[1]);
+        ctx.bezierCurveTo(path.c1[0], path.c1[1], path.c2[0], path.c2[1], path.b[0], path.b[1]);
     }
+    ctx.stroke();
 }
 
-function getSmartPoint(t, a, b, cp, ropePoints) {
-    if (ropePoints && ropePoints.length >= 2) {
-        const segmentLen = 1 / (ropePoints.length - 1);
-        const segment = Math.floor(t * (ropePoints.length - 1));
-        const localT = (t - segment * segmentLen) / segmentLen;
-        const i = Math.min(segment, ropePoints.length - 2);
-        const p1 = ropePoints[i];
-        const p2 = ropePoints[i + 1];
+// t is the fraction of the wire's arc length, so equal steps in t are equal distances on screen.
+function getSmartPoint(t, path) {
+    t = Math.min(Math.max(t, 0), 1);
+    if (path.rope || path.points) {
+        const lengths = getPathLengths(path);
+        const target = t * lengths[lengths.length - 1];
+        const i = findLengthSegment(lengths, target);
+        const span = lengths[i] - lengths[i - 1];
+        const localT = span > 0 ? (target - lengths[i - 1]) / span : 0;
+        const p1 = getPathVertex(path, i - 1);
+        const p2 = getPathVertex(path, i);
         return [
-            p1.x + (p2.x - p1.x) * localT,
-            p1.y + (p2.y - p1.y) * localT
+            p1[0] + (p2[0] - p1[0]) * localT,
+            p1[1] + (p2[1] - p1[1]) * localT
         ];
     }
-    return bezierPoint(t, a, b, cp);
+    return bezierPoint(getBezierT(t, path), path.a, path.c1, path.c2, path.b);
+}
+
+// Unit direction of travel (output towards input) at arc-length fraction t.
+function getSmartTangent(t, path) {
+    t = Math.min(Math.max(t, 0), 1);
+    let dx;
+    let dy;
+    if (path.rope || path.points) {
+        const lengths = getPathLengths(path);
+        const i = findLengthSegment(lengths, t * lengths[lengths.length - 1]);
+        const p1 = getPathVertex(path, i - 1);
+        const p2 = getPathVertex(path, i);
+        dx = p2[0] - p1[0];
+        dy = p2[1] - p1[1];
+    } else {
+        const u = getBezierT(t, path);
+        const mu = 1 - u;
+        dx = 3 * mu * mu * (path.c1[0] - path.a[0]) + 6 * mu * u * (path.c2[0] - path.c1[0]) + 3 * u * u * (path.b[0] - path.c2[0]);
+        dy = 3 * mu * mu * (path.c1[1] - path.a[1]) + 6 * mu * u * (path.c2[1] - path.c1[1]) + 3 * u * u * (path.b[1] - path.c2[1]);
+    }
+    const d = Math.hypot(dx, dy);
+    if (d < 1e-6) return [1, 0];
+    return [dx / d, dy / d];
+}
+
+// The tangent turned 90 degrees clockwise; points down on a left-to-right wire.
+function getSmartNormal(t, path) {
+    const tangent = getSmartTangent(t, path);
+    return [-tangent[1], tangent[0]];
+}
+
+function getPathVertex(path, i) {
+    if (path.rope) return [path.rope[i].x, path.rope[i].y];
+    return path.points[i];
+}
+
+// Cumulative length at each vertex of a rope or polyline path.
+function getPathLengths(path) {
+    if (path.lengths) return path.lengths;
+    const rope = path.rope;
+    const lengths = [0];
+    for (let i = 1; i < rope.length; i++) {
+        lengths.push(lengths[i - 1] + Math.hypot(rope[i].x - rope[i - 1].x, rope[i].y - rope[i - 1].y));
+    }
+    path.lengths = lengths;
+    return lengths;
+}
+
+// Smallest i >= 1 with lengths[i] >= target.
+function findLengthSegment(lengths, target) {
+    let lo = 1;
+    let hi = lengths.length - 1;
+    while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (lengths[mid] < target) lo = mid + 1;
+        else hi = mid;
+    }
+    return lo;
+}
+
+function getBezierLut(path) {
+    if (path.lut) return path.lut;
+    const key = [path.a[0], path.a[1], path.c1[0], path.c1[1], path.c2[0], path.c2[1], path.b[0], path.b[1]];
+    const wall = performance.now();
+    const cached = path.linkId !== null && path.linkId !== undefined ? bezierLutCache.get(path.linkId) : null;
+    if (cached && key.every(function (v, i) { return v === cached.key[i]; })) {
+        cached.seen = wall;
+        path.lut = cached.lut;
+        return path.lut;
+    }
+    const lut = new Float64Array(PATH_LUT_SAMPLES + 1);
+    let prev = path.a;
+    for (let i = 1; i <= PATH_LUT_SAMPLES; i++) {
+        const pt = bezierPoint(i / PATH_LUT_SAMPLES, path.a, path.c1, path.c2, path.b);
+        lut[i] = lut[i - 1] + Math.hypot(pt[0] - prev[0], pt[1] - prev[1]);
+        prev = pt;
+    }
+    path.lut = lut;
+    if (path.linkId !== null && path.linkId !== undefined) {
+        bezierLutCache.set(path.linkId, { key: key, lut: lut, seen: wall });
+    }
+    if (wall - lastLutCleanup > 5000) {
+        for (const [id, entry] of bezierLutCache) {
+            if (wall - entry.seen > 5000) bezierLutCache.delete(id);
+        }
+        lastLutCleanup = wall;
+    }
+    return lut;
+}
+
+// Arc-length fraction to the bezier's own parameter.
+function getBezierT(t, path) {
+    const lut = getBezierLut(path);
+    const total = lut[PATH_LUT_SAMPLES];
+    if (total <= 0) return t;
+    const target = t * total;
+    const i = findLengthSegment(lut, target);
+    const span = lut[i] - lut[i - 1];
+    const localT = span > 0 ? (target - lut[i - 1]) / span : 0;
+    return (i - 1 + localT) / PATH_LUT_SAMPLES;
+}
+
+function getPathLength(path) {
+    if (path.rope || path.points) {
+        const lengths = getPathLengths(path);
+        return lengths[lengths.length - 1];
+    }
+    return getBezierLut(path)[PATH_LUT_SAMPLES];
+}
+
+const linkColorCache = new Map();
+let colorParseCtx = null;
+
+// Normalizes any CSS color through a scratch 2D context, then converts it to HSL.
+function parseColorToHsl(color) {
+    if (!color || typeof color !== "string") return null;
+    if (linkColorCache.has(color)) return linkColorCache.get(color);
+    let hsl = null;
+    try {
+        if (!colorParseCtx) colorParseCtx = document.createElement("canvas").getContext("2d");
+        colorParseCtx.fillStyle = "#000";
+        colorParseCtx.fillStyle = color;
+        const normalized = colorParseCtx.fillStyle;
+        let r, g, bl;
+        if (normalized.charAt(0) === "#") {
+            r = parseInt(normalized.slice(1, 3), 16);
+            g = parseInt(normalized.slice(3, 5), 16);
+            bl = parseInt(normalized.slice(5, 7), 16);
+        } else {
+            const parts = normalized.match(/[\d.]+/g);
+            if (parts && parts.length >= 3) {
+                r = parseFloat(parts[0]);
+                g = parseFloat(parts[1]);
+                bl = parseFloat(parts[2]);
+            }
+        }
+        if (r !== undefined) hsl = rgbToHsl(r, g, bl);
+    } catch (err) {
+        warn("failed to parse link color", color, err);
+    }
+    if (linkColorCache.size > 200) linkColorCache.clear();
+    linkColorCache.set(color, hsl);
+    return hsl;
+}
+
+function rgbToHsl(r, g, b) {
+    r /= 255;
+    g /= 255;
+    b /= 255;
+    const max = Math.max(r, g, b);
+    const min = Math.min(r, g, b);
+    const l = (max + min) / 2;
+    let h = 0;
+    let s = 0;
+    if (max !== min) {
+        const d = max - min;
+        s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+        if (max === r) h = (g - b) / d + (g < b ? 6 : 0);
+        else if (max === g) h = (b - r) / d + 2;
+        else h = (r - g) / d + 4;
+        h *= 60;
+    }
+    return { h: Math.round(h), s: Math.round(s * 100), l: Math.round(l * 100) };
+}
+
+// Returns the effect's own color, or a shade of the link color when tinting is on.
+function tinted(fx, fallback, lightness, alpha, hueShift) {
+    if (!fx || !fx.tint) return fallback;
+    const hue = (fx.tint.h + (hueShift || 0) + 360) % 360;
+    return "hsla(" + hue + ", " + fx.tint.s + "%, " + lightness + "%, " + alpha + ")";
+}
+
+function createEffectContext(link, color, effect, scale) {
+    const linkColor = color || (link && link.type != null ? getLinkTypeColor(String(link.type)) : null);
+    const tint = tintByLinkColor ? parseColorToHsl(linkColor) : null;
+    const lod = getLinkLod(scale);
+    return {
+        linkId: link && link.id != null ? link.id : null,
+        tint: tint,
+        color: linkColor,
+        params: effect ? getEffectParams(effect) : {},
+        quality: QUALITY_TIERS[qualityTier],
+        scale: scale,
+        lod: lod,
+        detail: LOD_DETAIL[lod]
+    };
+}
+
+// Zoom of the graph as the user sees it; the context also carries the device pixel ratio.
+function getCanvasScale(ctx, canvas) {
+    if (ctx && typeof ctx.getTransform === "function") {
+        const m = ctx.getTransform();
+        const dpr = (typeof window !== "undefined" && window.devicePixelRatio) || 1;
+        return Math.hypot(m.a, m.b) / dpr;
+    }
+    return (canvas && canvas.ds && canvas.ds.scale) || 1;
+}
+
+function getLinkLod(scale) {
+    if (!(scale > 0)) return "normal";
+    if (scale < lodSimpleZoom) return "simple";
+    if (scale >= lodDetailZoom) return "detailed";
+    return "normal";
+}
+
+// What every effect turns into when zoomed far out: one stroke in the effect's
+// signature color (or the link's own color when tinting or when it has none).
+function drawSimpleStroke(ctx, path, effect, fx) {
+    ctx.strokeStyle = (!fx.tint && effect.color) || fx.color || "rgba(180, 180, 180, 0.9)";
+    ctx.lineWidth = 3 * (fx.params.thickness || 1);
+    ctx.lineCap = "round";
+    drawSmartCurve(ctx, path);
 }
 
-function drawNeonPulse(ctx, a, b, now, len, ropePoints) {
-    ropePoints = ropePoints || null;
-    const cp = Math.max(len * 0.3, 40);
-    const t = now * 0.001;
-    const hue = (t * 20) % 360;
-    const breath = Math.sin(t * 3) * 0.3 + 0.7;
+function drawNeonPulse(ctx, a, b, now, len, path, fx) {
+    const p = fx.params;
+    const t = fx.time * 0.001;
+    const tint = fx.tint;
+    const hue = tint ? (tint.h + Math.sin(t * 0.5) * 8 + 360) % 360 : (t * 20) % 360;
+    const sat = tint ? tint.s : 100;
+    const breath = Math.min(1, (Math.sin(t * 3) * 0.3 + 0.7) * p.intensity);
 
     ctx.save();
     ctx.shadowBlur = 0;
-    ctx.lineWidth = 8;
-    ctx.strokeStyle = "hsla(" + hue + ", 100%, 40%, 0.2)";
-    drawSmartCurve(ctx, a, b, cp, ropePoints);
+    ctx.lineWidth = 8 * p.thickness;
+    ctx.strokeStyle = "hsla(" + hue + ", " + sat + "%, 40%, " + Math.min(1, 0.2 * p.intensity) + ")";
+    drawSmartCurve(ctx, path);
 
     const grad = ctx.createLinearGradient(a[0], a[1], b[0], b[1]);
-    grad.addColorStop(0, "hsla(" + hue + ", 100%, 60%, " + breath + ")");
-    grad.addColorStop(0.5, "hsla(" + ((hue + 30) % 360) + ", 100%, 65%, " + breath + ")");
-    grad.addColorStop(1, "hsla(" + hue + ", 100%, 60%, " + breath + ")");
+    grad.addColorStop(0, "hsla(" + hue + ", " + sat + "%, 60%, " + breath + ")");
+    grad.addColorStop(0.5, "hsla(" + ((hue + (tint ? 12 : 30)) % 360) + ", " + sat + "%, 65%, " + breath + ")");
+    grad.addColorStop(1, "hsla(" + hue + ", " + sat + "%, 60%, " + breath + ")");
 
     ctx.shadowBlur = 0;
-    ctx.lineWidth = 4;
+    ctx.lineWidth = 4 * p.thickness;
     ctx.strokeStyle = grad;
-    drawSmartCurve(ctx, a, b, cp, ropePoints);
+    drawSmartCurve(ctx, path);
 
     ctx.shadowBlur = 0;
-    ctx.lineWidth = 1.5;
-    ctx.strokeStyle = "hsla(" + hue + ", 50%, 95%, 0.9)";
-    drawSmartCurve(ctx, a, b, cp, ropePoints);
+    ctx.lineWidth = 1.5 * p.thickness;
+    ctx.strokeStyle = "hsla(" + hue + ", " + (sat * 0.5) + "%, 95%, 0.9)";
+    drawSmartCurve(ctx, path);
 
     ctx.restore();
 }
 
-function drawMatrixFlow(ctx, a, b, now, len, ropePoints) {
-    ropePoints = ropePoints || null;
-    const cp = Math.max(len * 0.3, 40);
-    const t = now * 0.001;
+function drawMatrixFlow(ctx, a, b, now, len, path, fx) {
+    const p = fx.params;
+    const t = fx.time * 0.001;
 
     ctx.save();
-    ctx.strokeStyle = "rgba(0, 60, 30, 0.4)";
+    ctx.strokeStyle = tinted(fx, "rgba(0, 60, 30, 0.4)", 15, 0.4);
     ctx.lineWidth = 1;
-    drawSmartCurve(ctx, a, b, cp, ropePoints);
+    drawSmartCurve(ctx, path);
 
-    const numDrops = Math.min(Math.floor(len / 20), 15);
+    const numDrops = Math.max(1, Math.round(Math.min(Math.floor(len / 20 * fx.detail), p.drops * fx.detail) * fx.quality.particles));
     ctx.font = "bold 10px monospace";
     ctx.textAlign = "center";
     ctx.textBaseline = "middle";
@@ -304,7 +1279,7 @@ function drawMatrixFlow(ctx, a, b, now, len, ropePoints) {
 
     for (let i = 0; i < numDrops; i++) {
         const wirePos = (i + 0.5) / numDrops;
-        const pt = getSmartPoint(wirePos, a, b, cp, ropePoints);
+        const pt = getSmartPoint(wirePos, path);
         const wx = pt[0];
         const wy = pt[1];
 
@@ -315,7 +1290,7 @@ function drawMatrixFlow(ctx, a, b, now, len, ropePoints) {
             if (fade > 0) {
                 const char = chars[(i * 7 + j * 3 + Math.floor(t * 2)) % chars.length];
                 const brightness = fade * (j === 0 ? 1 : 0.5);
-                ctx.fillStyle = "rgba(0, " + (150 + brightness * 105) + ", " + (50 + brightness * 50) + ", " + brightness + ")";
+                ctx.fillStyle = tinted(fx, "rgba(0, " + (150 + brightness * 105) + ", " + (50 + brightness * 50) + ", " + brightness + ")", 35 + brightness * 30, brightness);
                 ctx.fillText(char, wx, wy + fallOffset);
             }
         }
@@ -323,10 +1298,9 @@ function drawMatrixFlow(ctx, a, b, now, len, ropePoints) {
     ctx.restore();
 }
 
-function drawAurora(ctx, a, b, now, len, ropePoints) {
-    ropePoints = ropePoints || null;
-    const cp = Math.max(len * 0.3, 40);
-    const t = now * 0.001;
+function drawAurora(ctx, a, b, now, len, path, fx) {
+    const p = fx.params;
+    const t = fx.time * 0.001;
 
     ctx.save();
     ctx.globalCompositeOperation = "lighter";
@@ -335,36 +1309,38 @@ function drawAurora(ctx, a, b, now, len, ropePoints) {
     const steps = Math.min(20, Math.max(8, Math.floor(len / 30)));
 
     for (let c = 0; c < curtains; c++) {
-        const hue = 140 + c * 40 + Math.sin(t * 0.5 + c) * 20;
+        const hue = fx.tint
+            ? (fx.tint.h + (c - 1) * 20 + Math.sin(t * 0.5 + c) * 10 + 360) % 360
+            : 140 + c * 40 + Math.sin(t * 0.5 + c) * 20;
+        const sat = fx.tint ? fx.tint.s : 90;
         const offset = (c - 1) * 4;
 
         ctx.beginPath();
         for (let i = 0; i <= steps; i++) {
             const pos = i / steps;
-            const pt = getSmartPoint(pos, a, b, cp, ropePoints);
-            const px = pt[0];
-            const py = pt[1];
-            const wave = Math.sin(t * 2 + pos * 8 + c * 2) * 6;
-            const y = py + offset + wave;
+            const pt = getSmartPoint(pos, path);
+            const normal = getSmartNormal(pos, path);
+            const wave = Math.sin(t * 2 + pos * 8 + c * 2) * 6 * p.intensity;
+            const x = pt[0] + normal[0] * (offset + wave);
+            const y = pt[1] + normal[1] * (offset + wave);
             if (i === 0) {
-                ctx.moveTo(px, y);
+                ctx.moveTo(x, y);
             } else {
-                ctx.lineTo(px, y);
+                ctx.lineTo(x, y);
             }
         }
 
         const alpha = 0.15 + Math.sin(t * 1.5 + c) * 0.1;
-        ctx.strokeStyle = "hsla(" + hue + ", 90%, 65%, " + alpha + ")";
-        ctx.lineWidth = 3 + c * 0.5;
+        ctx.strokeStyle = "hsla(" + hue + ", " + sat + "%, 65%, " + alpha + ")";
+        ctx.lineWidth = (3 + c * 0.5) * p.thickness;
         ctx.stroke();
     }
     ctx.restore();
 }
 
-function drawFireWire(ctx, a, b, now, len, ropePoints) {
-    ropePoints = ropePoints || null;
-    const cp = Math.max(len * 0.3, 40);
-    const t = now * 0.001;
+function drawFireWire(ctx, a, b, now, len, path, fx) {
+    const p = fx.params;
+    const t = fx.time * 0.001;
 
     ctx.save();
     ctx.globalCompositeOperation = "lighter";
@@ -375,90 +1351,103 @@ function drawFireWire(ctx, a, b, now, len, ropePoints) {
     ctx.beginPath();
     for (let i = 0; i <= numPoints; i++) {
         const pos = i / numPoints;
-        const pt = getSmartPoint(pos, a, b, cp, ropePoints);
+        const pt = getSmartPoint(pos, path);
         const px = pt[0];
         const py = pt[1];
 
-        const distortX = Math.cos(pos * 10 - t * 5) * 1.0;
-        const distortY = Math.sin(pos * 10 - t * 5) * 1.0;
+        const distortX = Math.cos(pos * 10 - t * 5) * p.intensity;
+        const distortY = Math.sin(pos * 10 - t * 5) * p.intensity;
 
         if (i === 0) ctx.moveTo(px + distortX, py + distortY);
         else ctx.lineTo(px + distortX, py + distortY);
     }
 
-    ctx.strokeStyle = "rgba(200, 40, 0, 0.6)";
-    ctx.lineWidth = 8;
+    ctx.strokeStyle = tinted(fx, "rgba(200, 40, 0, 0.6)", 40, 0.6, -10);
+    ctx.lineWidth = 8 * p.thickness;
     ctx.stroke();
 
-    ctx.strokeStyle = "rgba(255, 100, 0, 0.8)";
-    ctx.lineWidth = 4;
+    ctx.strokeStyle = tinted(fx, "rgba(255, 100, 0, 0.8)", 50, 0.8);
+    ctx.lineWidth = 4 * p.thickness;
     ctx.stroke();
 
-    ctx.strokeStyle = "rgba(255, 220, 100, 0.9)";
-    ctx.lineWidth = 1.5;
+    ctx.strokeStyle = tinted(fx, "rgba(255, 220, 100, 0.9)", 75, 0.9, 25);
+    ctx.lineWidth = 1.5 * p.thickness;
     ctx.stroke();
 
-    const numSparks = 6;
+    const numSparks = Math.round(p.sparks * fx.detail * fx.quality.particles);
     for (let i = 0; i < numSparks; i++) {
-        const sparkPhase = (t * 0.4 + i * (1 / numSparks)) % 1;
-        const pt = getSmartPoint(sparkPhase, a, b, cp, ropePoints);
+        const sparkPhase = (fx.flowTime * 0.001 * 0.4 + i * (1 / numSparks)) % 1;
+        const pt = getSmartPoint(sparkPhase, path);
         const sx = pt[0];
         const sy = pt[1];
 
         const rise = Math.sin(sparkPhase * Math.PI) * 15;
         ctx.beginPath();
-        ctx.fillStyle = "rgba(255, 200, 50, " + (1 - sparkPhase) + ")";
+        ctx.fillStyle = tinted(fx, "rgba(255, 200, 50, " + (1 - sparkPhase) + ")", 60, 1 - sparkPhase, 20);
         ctx.arc(sx, sy - rise, 1 + Math.random(), 0, Math.PI * 2);
         ctx.fill();
     }
     ctx.restore();
 }
 
-function drawQuantum(ctx, a, b, now, len, ropePoints) {
-    ropePoints = ropePoints || null;
-    const cp = Math.max(len * 0.3, 40);
-    const t = now * 0.001;
+function drawQuantum(ctx, a, b, now, len, path, fx) {
+    const p = fx.params;
+    const t = fx.time * 0.001;
 
     ctx.save();
 
     ctx.setLineDash([4, 6]);
-    ctx.strokeStyle = "rgba(130, 80, 220, 0.3)";
-    ctx.lineWidth = 6;
-    drawSmartCurve(ctx, a, b, cp, ropePoints);
+    ctx.strokeStyle = tinted(fx, "rgba(130, 80, 220, 0.3)", 59, 0.3);
+    ctx.lineWidth = 6 * p.thickness;
+    drawSmartCurve(ctx, path);
 
     ctx.setLineDash([]);
-    ctx.strokeStyle = "rgba(100, 50, 180, 0.5)";
-    ctx.lineWidth = 2;
-    drawSmartCurve(ctx, a, b, cp, ropePoints);
+    ctx.strokeStyle = tinted(fx, "rgba(100, 50, 180, 0.5)", 45, 0.5);
+    ctx.lineWidth = 2 * p.thickness;
+    drawSmartCurve(ctx, path);
 
     const particle1Pos = (t * 0.3) % 1;
     const particle2Pos = 1 - particle1Pos;
 
-    const particles = [[particle1Pos, "rgba(255, 100, 255, 0.9)"], [particle2Pos, "rgba(100, 200, 255, 0.9)"]];
+    const particles = [[particle1Pos, "rgba(255, 100, 255, ", 40], [particle2Pos, "rgba(100, 200, 255, ", -40]];
     for (let idx = 0; idx < particles.length; idx++) {
         const pos = particles[idx][0];
         const color = particles[idx][1];
-        const pt = getSmartPoint(pos, a, b, cp, ropePoints);
+        const hueShift = particles[idx][2];
+        const pt = getSmartPoint(pos, path);
         const x = pt[0];
         const y = pt[1];
-        const cloudSize = 8 + Math.sin(t * 8 + idx * Math.PI) * 3;
+        const cloudSize = (8 + Math.sin(t * 8 + idx * Math.PI) * 3) * p.intensity;
         ctx.beginPath();
         ctx.arc(x, y, cloudSize, 0, Math.PI * 2);
-        ctx.fillStyle = color.replace("0.9", "0.15");
+        ctx.fillStyle = tinted(fx, color + "0.15)", 70, 0.15, hueShift);
         ctx.fill();
         ctx.beginPath();
         ctx.arc(x, y, 3, 0, Math.PI * 2);
-        ctx.fillStyle = color;
+        ctx.fillStyle = tinted(fx, color + "0.9)", 70, 0.9, hueShift);
         ctx.fill();
+
+        if (fx.lod === "detailed") {
+            // Close up, each cloud gets a few orbiting electrons.
+            for (let e = 0; e < 3; e++) {
+                const angle = t * (4 + e) * (idx ? -1 : 1) + e * Math.PI * 2 / 3;
+                const orbit = cloudSize * (0.6 + e * 0.2);
+                ctx.beginPath();
+                ctx.arc(x + Math.cos(angle) * orbit, y + Math.sin(angle) * orbit * 0.5, 1, 0, Math.PI * 2);
+                ctx.fillStyle = tinted(fx, color + "0.8)", 85, 0.8, hueShift);
+                ctx.fill();
+            }
+        }
     }
 
-    const pt1 = getSmartPoint(particle1Pos, a, b, cp, ropePoints);
-    const pt2 = getSmartPoint(particle2Pos, a, b, cp, ropePoints);
+    const pt1 = getSmartPoint(particle1Pos, path);
+    const pt2 = getSmartPoint(particle2Pos, path);
 
     ctx.beginPath();
     ctx.moveTo(pt1[0], pt1[1]);
     ctx.lineTo(pt2[0], pt2[1]);
-    ctx.strokeStyle = "rgba(200, 150, 255, " + (0.2 + Math.sin(t * 10) * 0.1) + ")";
+    const linkAlpha = 0.2 + Math.sin(t * 10) * 0.1;
+    ctx.strokeStyle = tinted(fx, "rgba(200, 150, 255, " + linkAlpha + ")", 80, linkAlpha);
     ctx.lineWidth = 1;
     ctx.setLineDash([2, 4]);
     ctx.stroke();
@@ -466,21 +1455,28 @@ function drawQuantum(ctx, a, b, now, len, ropePoints) {
     ctx.restore();
 }
 
-function drawElectric(ctx, a, b, now, len, ropePoints) {
-    ropePoints = ropePoints || null;
-    const cp = Math.max(len * 0.3, 40);
+// Stable pseudo-random value in -0.5..0.5, so the arcs only change when the flicker step does
+function jitterNoise(n) {
+    const x = Math.sin(n * 12.9898) * 43758.5453;
+    return x - Math.floor(x) - 0.5;
+}
+
+function drawElectric(ctx, a, b, now, len, path, fx) {
+    const p = fx.params;
+    // About 30 new arc shapes per second at Speed 1
+    const flicker = Math.floor(fx.time * 0.03) + (a[0] * 7 + a[1] * 13) % 1000;
     ctx.save();
     ctx.lineCap = "round";
     ctx.lineJoin = "round";
-    ctx.shadowBlur = 10;
-    ctx.shadowColor = "rgba(100, 200, 255, 0.8)";
+    ctx.shadowBlur = fx.quality.shadows ? 10 : 0;
+    ctx.shadowColor = tinted(fx, "rgba(100, 200, 255, 0.8)", 70, 0.8);
 
-    const segments = Math.max(10, Math.ceil(len / 10));
+    const segments = Math.max(10, Math.ceil(len / 10 * fx.detail));
 
     ctx.beginPath();
     for (let i = 0; i <= segments; i++) {
         const pos = i / segments;
-        const pt = getSmartPoint(pos, a, b, cp, ropePoints);
+        const pt = getSmartPoint(pos, path);
         const px = pt[0];
         const py = pt[1];
 
@@ -488,167 +1484,171 @@ function drawElectric(ctx, a, b, now, len, ropePoints) {
         let offsetY = 0;
 
         if (i > 0 && i < segments) {
-            offsetX = (Math.random() - 0.5) * 3;
-            offsetY = (Math.random() - 0.5) * 3;
+            offsetX = jitterNoise(flicker * 131 + i) * 3 * p.intensity;
+            offsetY = jitterNoise(flicker * 137 + i + 0.5) * 3 * p.intensity;
         }
 
         if (i === 0) ctx.moveTo(px, py);
         else ctx.lineTo(px + offsetX, py + offsetY);
     }
 
-    ctx.strokeStyle = "rgba(200, 230, 255, 0.9)";
-    ctx.lineWidth = 2;
+    ctx.strokeStyle = tinted(fx, "rgba(200, 230, 255, 0.9)", 90, 0.9);
+    ctx.lineWidth = 2 * p.thickness;
     ctx.stroke();
 
     ctx.beginPath();
     for (let i = 0; i <= segments; i++) {
         const pos = i / segments;
-        const pt = getSmartPoint(pos, a, b, cp, ropePoints);
+        const pt = getSmartPoint(pos, path);
         const px = pt[0];
         const py = pt[1];
         let offsetX = 0;
         let offsetY = 0;
 
         if (i > 0 && i < segments) {
-            offsetX = (Math.random() - 0.5) * 8;
-            offsetY = (Math.random() - 0.5) * 8;
+            offsetX = jitterNoise(flicker * 139 + i + 0.25) * 8 * p.intensity;
+            offsetY = jitterNoise(flicker * 149 + i + 0.75) * 8 * p.intensity;
         }
 
         if (i === 0) ctx.moveTo(px, py);
         else ctx.lineTo(px + offsetX, py + offsetY);
     }
-    ctx.strokeStyle = "rgba(50, 150, 255, 0.3)";
-    ctx.lineWidth = 3;
+    ctx.strokeStyle = tinted(fx, "rgba(50, 150, 255, 0.3)", 60, 0.3);
+    ctx.lineWidth = 3 * p.thickness;
     ctx.stroke();
 
     ctx.restore();
 }
 
-function drawPlasma(ctx, a, b, now, len, ropePoints) {
-    ropePoints = ropePoints || null;
-    const cp = Math.max(len * 0.3, 40);
-    const t = now * 0.001;
+function drawPlasma(ctx, a, b, now, len, path, fx) {
+    const p = fx.params;
+    const t = fx.time * 0.001;
     ctx.save();
     ctx.lineCap = "round";
     const segments = 10;
 
     for (let strand = 0; strand < 3; strand++) {
         const phase = strand * (Math.PI * 2 / 3);
-        const hue = 270 + strand * 25;
+        const hue = fx.tint ? (fx.tint.h + (strand - 1) * 15 + 360) % 360 : 270 + strand * 25;
+        const sat = fx.tint ? fx.tint.s : 100;
 
         ctx.beginPath();
         for (let i = 0; i <= segments; i++) {
             const pos = i / segments;
-            const pt = getSmartPoint(pos, a, b, cp, ropePoints);
-            const px = pt[0];
-            const py = pt[1];
+            const pt = getSmartPoint(pos, path);
+            const normal = getSmartNormal(pos, path);
             const wave1 = Math.sin(t * 3 + pos * 8 + phase) * 6;
             const wave2 = Math.sin(t * 5 + pos * 12 + phase * 1.5) * 3;
             const envelope = Math.sin(pos * Math.PI);
-            const offset = (wave1 + wave2) * envelope;
+            const offset = (wave1 + wave2) * envelope * p.intensity;
+            const x = pt[0] + normal[0] * offset;
+            const y = pt[1] + normal[1] * offset;
 
             if (i === 0) {
-                ctx.moveTo(px, py + offset);
+                ctx.moveTo(x, y);
             } else {
-                ctx.lineTo(px, py + offset);
+                ctx.lineTo(x, y);
             }
         }
 
-        ctx.strokeStyle = "hsla(" + hue + ", 100%, 60%, 0.15)";
-        ctx.lineWidth = 6;
+        ctx.strokeStyle = "hsla(" + hue + ", " + sat + "%, 60%, 0.15)";
+        ctx.lineWidth = 6 * p.thickness;
         ctx.stroke();
 
-        ctx.strokeStyle = "hsla(" + hue + ", 90%, 75%, 0.7)";
-        ctx.lineWidth = 2;
+        ctx.strokeStyle = "hsla(" + hue + ", " + (sat * 0.9) + "%, 75%, 0.7)";
+        ctx.lineWidth = 2 * p.thickness;
         ctx.stroke();
     }
 
-    ctx.strokeStyle = "rgba(255, 200, 255, 0.5)";
+    ctx.strokeStyle = tinted(fx, "rgba(255, 200, 255, 0.5)", 90, 0.5);
     ctx.lineWidth = 1;
-    drawSmartCurve(ctx, a, b, cp, ropePoints);
+    drawSmartCurve(ctx, path);
     ctx.restore();
 }
 
-function drawRainbow(ctx, a, b, now, len, ropePoints) {
-    ropePoints = ropePoints || null;
-    const cp = Math.max(len * 0.3, 40);
-    const t = now * 0.001;
+function drawRainbow(ctx, a, b, now, len, path, fx) {
+    const p = fx.params;
+    const t = fx.time * 0.001;
     ctx.save();
     ctx.lineCap = "round";
     const grad = ctx.createLinearGradient(a[0], a[1], b[0], b[1]);
     const hueShift = (t * 60) % 360;
 
     for (let i = 0; i <= 6; i++) {
-        const hue = (hueShift + i * 51) % 360;
-        grad.addColorStop(i / 6, "hsl(" + hue + ", 90%, 55%)");
+        if (fx.tint) {
+            // Sweep a narrow band around the link color instead of the full spectrum.
+            const hue = (fx.tint.h + Math.sin(hueShift * Math.PI / 180 + i) * 30 + 360) % 360;
+            grad.addColorStop(i / 6, "hsl(" + hue + ", " + fx.tint.s + "%, 55%)");
+        } else {
+            const hue = (hueShift + i * 51) % 360;
+            grad.addColorStop(i / 6, "hsl(" + hue + ", 90%, 55%)");
+        }
     }
 
     ctx.strokeStyle = grad;
-    ctx.lineWidth = 5;
-    drawSmartCurve(ctx, a, b, cp, ropePoints);
+    ctx.lineWidth = 5 * p.thickness;
+    drawSmartCurve(ctx, path);
     ctx.strokeStyle = "rgba(255,255,255,0.25)";
-    ctx.lineWidth = 2;
-    drawSmartCurve(ctx, a, b, cp, ropePoints);
+    ctx.lineWidth = 2 * p.thickness;
+    drawSmartCurve(ctx, path);
     ctx.restore();
 }
 
-function drawPulseWave(ctx, a, b, now, len, ropePoints) {
-    ropePoints = ropePoints || null;
-    const cp = Math.max(len * 0.3, 40);
-    const t = now * 0.001;
+function drawPulseWave(ctx, a, b, now, len, path, fx) {
+    const p = fx.params;
+    const t = fx.time * 0.001;
     const beatPhase = (t * 1.2) % 1;
     const isBeat = beatPhase < 0.15;
     const intensity = isBeat ? 1 : 0.4;
 
     ctx.save();
-    ctx.strokeStyle = "rgba(80, 20, 40, 0.6)";
-    ctx.lineWidth = 5;
-    drawSmartCurve(ctx, a, b, cp, ropePoints);
+    ctx.strokeStyle = tinted(fx, "rgba(80, 20, 40, 0.6)", 20, 0.6);
+    ctx.lineWidth = 5 * p.thickness;
+    drawSmartCurve(ctx, path);
 
-    ctx.shadowBlur = 10 + (isBeat ? 10 : 0);
-    ctx.strokeStyle = "rgba(200, 60, 90, " + (0.4 + intensity * 0.3) + ")";
-    ctx.lineWidth = 3;
-    drawSmartCurve(ctx, a, b, cp, ropePoints);
+    ctx.shadowBlur = fx.quality.shadows ? 10 + (isBeat ? 10 : 0) : 0;
+    ctx.strokeStyle = tinted(fx, "rgba(200, 60, 90, " + (0.4 + intensity * 0.3) + ")", 51, 0.4 + intensity * 0.3);
+    ctx.lineWidth = 3 * p.thickness;
+    drawSmartCurve(ctx, path);
 
-    const numPulses = 3;
+    const numPulses = p.pulses;
     for (let i = 0; i < numPulses; i++) {
-        const pulsePos = ((t * 0.6 + i * 0.33) % 1);
-        const pt = getSmartPoint(pulsePos, a, b, cp, ropePoints);
+        const pulsePos = ((fx.flowTime * 0.001 * 0.6 + i / numPulses) % 1);
+        const pt = getSmartPoint(pulsePos, path);
         const px = pt[0];
         const py = pt[1];
         const fade = 1 - pulsePos * 0.5;
-        const size = 4 + (isBeat ? 2 : 0);
+        const size = (4 + (isBeat ? 2 : 0)) * p.thickness;
         ctx.beginPath();
         ctx.arc(px, py, size, 0, Math.PI * 2);
-        ctx.fillStyle = "rgba(255, 150, 180, " + (fade * 0.8) + ")";
+        ctx.fillStyle = tinted(fx, "rgba(255, 150, 180, " + (fade * 0.8) + ")", 80, fade * 0.8);
         ctx.shadowBlur = 0;
         ctx.fill();
     }
 
     if (isBeat) {
-        ctx.strokeStyle = "rgba(255, 200, 220, 0.5)";
-        ctx.lineWidth = 6;
+        ctx.strokeStyle = tinted(fx, "rgba(255, 200, 220, 0.5)", 90, 0.5);
+        ctx.lineWidth = 6 * p.thickness;
         ctx.shadowBlur = 0;
-        drawSmartCurve(ctx, a, b, cp, ropePoints);
+        drawSmartCurve(ctx, path);
     }
     ctx.restore();
 }
 
-function drawStarlight(ctx, a, b, now, len, ropePoints) {
-    ropePoints = ropePoints || null;
-    const cp = Math.max(len * 0.3, 40);
-    const t = now * 0.001;
+function drawStarlight(ctx, a, b, now, len, path, fx) {
+    const p = fx.params;
+    const t = fx.time * 0.001;
     ctx.save();
     ctx.globalCompositeOperation = "lighter";
-    ctx.strokeStyle = "rgba(150, 160, 200, 0.2)";
+    ctx.strokeStyle = tinted(fx, "rgba(150, 160, 200, 0.2)", 70, 0.2);
     ctx.lineWidth = 1;
-    drawSmartCurve(ctx, a, b, cp, ropePoints);
+    drawSmartCurve(ctx, path);
 
-    const dustCount = Math.min(40, Math.max(20, Math.floor(len / 15)));
+    const dustCount = Math.round(Math.min(40, Math.max(20, Math.floor(len / 15))) * p.density * fx.detail * fx.quality.particles);
     for (let i = 0; i < dustCount; i++) {
         const offset = (i / dustCount);
-        const pos = (t * 0.15 + offset) % 1;
-        const pt = getSmartPoint(pos, a, b, cp, ropePoints);
+        const pos = (fx.flowTime * 0.001 * 0.15 + offset) % 1;
+        const pt = getSmartPoint(pos, path);
         const px = pt[0];
         const py = pt[1];
         const life = Math.sin(pos * Math.PI);
@@ -658,7 +1658,7 @@ function drawStarlight(ctx, a, b, now, len, ropePoints) {
         if (brightness > 0.2) {
             ctx.beginPath();
             ctx.arc(px, py, size, 0, Math.PI * 2);
-            ctx.fillStyle = "rgba(" + (200 + brightness * 55) + ", " + (210 + brightness * 45) + ", 255, " + brightness + ")";
+            ctx.fillStyle = tinted(fx, "rgba(" + (200 + brightness * 55) + ", " + (210 + brightness * 45) + ", 255, " + brightness + ")", 80 + brightness * 15, brightness);
             ctx.fill();
 
             if (brightness > 0.8 && i % 5 === 0) {
@@ -677,68 +1677,515 @@ function drawStarlight(ctx, a, b, now, len, ropePoints) {
     ctx.restore();
 }
 
-const EFFECTS = [
-    { name: "Neon Pulse", icon: "\u26A1", draw: drawNeonPulse },
-    { name: "Matrix Rain", icon: "\uD83D\uDC0D", draw: drawMatrixFlow },
-    { name: "Aurora", icon: "\uD83C\uDF0C", draw: drawAurora },
-    { name: "Fire Wire", icon: "\uD83D\uDD25", draw: drawFireWire },
-    { name: "Quantum", icon: "\u269B\uFE0F", draw: drawQuantum },
-    { name: "Electric", icon: "\uD83D\uDCAB", draw: drawElectric },
-    { name: "Plasma", icon: "\uD83D\uDFE3", draw: drawPlasma },
-    { name: "Rainbow", icon: "\uD83C\uDF08", draw: drawRainbow },
-    { name: "Pulse Wave", icon: "\uD83D\uDC93", draw: drawPulseWave },
-    { name: "Starlight", icon: "\u2728", draw: drawStarlight }
+const PARAM_SPEED = { id: "speed", label: "Speed", min: 0.1, max: 3, step: 0.1, default: 1 };
+const PARAM_INTENSITY = { id: "intensity", label: "Intensity", min: 0, max: 3, step: 0.1, default: 1 };
+const PARAM_THICKNESS = { id: "thickness", label: "Thickness", min: 0.25, max: 3, step: 0.05, default: 1 };
+const PARAM_DENSITY = { id: "density", label: "Density", min: 0.25, max: 3, step: 0.05, default: 1 };
+
+const BUILTIN_EFFECTS = [
+    { id: "neon-pulse", name: "Neon Pulse", icon: "\u26A1", color: "hsl(300, 100%, 65%)", draw: drawNeonPulse, params: [PARAM_SPEED, PARAM_INTENSITY, PARAM_THICKNESS] },
+    {
+        id: "matrix-rain", name: "Matrix Rain", icon: "\uD83D\uDC0D", color: "rgb(0, 255, 70)", draw: drawMatrixFlow,
+        params: [PARAM_SPEED, { id: "drops", label: "Max drops", min: 1, max: 40, step: 1, default: 15 }]
+    },
+    { id: "aurora", name: "Aurora", icon: "\uD83C\uDF0C", color: "rgb(60, 255, 170)", draw: drawAurora, params: [PARAM_SPEED, PARAM_INTENSITY, PARAM_THICKNESS] },
+    {
+        id: "fire-wire", name: "Fire Wire", icon: "\uD83D\uDD25", color: "rgb(255, 110, 0)", draw: drawFireWire,
+        params: [PARAM_SPEED, PARAM_INTENSITY, PARAM_THICKNESS, { id: "sparks", label: "Sparks", min: 0, max: 20, step: 1, default: 6 }]
+    },
+    { id: "quantum", name: "Quantum", icon: "\u269B\uFE0F", color: "rgb(150, 90, 240)", draw: drawQuantum, params: [PARAM_SPEED, PARAM_INTENSITY, PARAM_THICKNESS] },
+    { id: "electric", name: "Electric", icon: "\uD83D\uDCAB", color: "rgb(100, 200, 255)", draw: drawElectric, params: [PARAM_SPEED, PARAM_INTENSITY, PARAM_THICKNESS] },
+    { id: "plasma", name: "Plasma", icon: "\uD83D\uDFE3", color: "rgb(190, 90, 255)", draw: drawPlasma, params: [PARAM_SPEED, PARAM_INTENSITY, PARAM_THICKNESS] },
+    { id: "rainbow", name: "Rainbow", icon: "\uD83C\uDF08", draw: drawRainbow, params: [PARAM_SPEED, PARAM_THICKNESS] },
+    {
+        id: "pulse-wave", name: "Pulse Wave", icon: "\uD83D\uDC93", color: "rgb(220, 60, 100)", draw: drawPulseWave,
+        params: [PARAM_SPEED, PARAM_THICKNESS, { id: "pulses", label: "Pulses", min: 1, max: 8, step: 1, default: 3 }]
+    },
+    { id: "starlight", name: "Starlight", icon: "\u2728", color: "rgb(220, 225, 255)", draw: drawStarlight, params: [PARAM_SPEED, PARAM_DENSITY] }
 ];
 
-function startAnimationLoop() {
-    if (animationLoopId) return;
-    let lastTime = 0;
-    const loop = function (currentTime) {
-        animationLoopId = requestAnimationFrame(loop);
-        if (currentTime - lastTime < FRAME_TIME) return;
-        lastTime = currentTime;
-        const needsRedraw = (currentEffect !== null && animationMode !== "static") || gravityEnabled || gifEnabled;
-        if (needsRedraw && app && app.canvas) {
-            if (app.canvas.setDirty) app.canvas.setDirty(true, true);
-        }
-        // 更新 GIF 位置
-        if (gifEnabled && gifUrl) {
-            updateGifPositions(currentTime);
+// ========== Effect registry ==========
+
+// Effects by id in sidebar order: built-ins first, then whatever other extensions register.
+const effectRegistry = new Map();
+const failedEffects = new Set();
+
+function normalizeEffect(definition) {
+    if (!definition || typeof definition !== "object") {
+        warn("effect definition must be an object", definition);
+        return null;
+    }
+    const id = typeof definition.id === "string" ? definition.id.trim() : "";
+    if (!id) {
+        warn("effect definition needs a non-empty string id", definition);
+        return null;
+    }
+    if (typeof definition.draw !== "function") {
+        warn("effect \"" + id + "\" needs a draw function");
+        return null;
+    }
+    const params = [];
+    if (Array.isArray(definition.params)) {
+        for (const param of definition.params) {
+            const normalized = normalizeEffectParam(id, param);
+            if (!normalized) continue;
+            if (params.some(function (p) { return p.id === normalized.id; })) {
+                warn("effect \"" + id + "\" declares param \"" + normalized.id + "\" twice");
+                continue;
+            }
+            params.push(normalized);
         }
+    }
+    return {
+        id: id,
+        name: typeof definition.name === "string" && definition.name ? definition.name : id,
+        icon: typeof definition.icon === "string" && definition.icon ? definition.icon : "\u2728",
+        color: typeof definition.color === "string" && definition.color ? definition.color : null,
+        draw: definition.draw,
+        animated: definition.animated !== false,
+        params: params,
+        builtin: definition.builtin === true
     };
-    animationLoopId = requestAnimationFrame(loop);
-    log("Animation loop started");
 }
 
-function stopAnimationLoop() {
-    if (animationLoopId) {
-        cancelAnimationFrame(animationLoopId);
-        animationLoopId = null;
-        log("Animation loop stopped");
+// Params are numeric sliders: { id, label, min, max, step, default }.
+function normalizeEffectParam(effectId, param) {
+    const id = param && typeof param.id === "string" ? param.id.trim() : "";
+    if (!id) {
+        warn("effect \"" + effectId + "\" has a param without an id", param);
+        return null;
     }
+    const min = Number(param.min);
+    const max = Number(param.max);
+    if (!Number.isFinite(min) || !Number.isFinite(max) || max <= min) {
+        warn("effect \"" + effectId + "\" param \"" + id + "\" needs numeric min < max", param);
+        return null;
+    }
+    const step = Number(param.step) > 0 ? Number(param.step) : (max - min) / 100;
+    return Object.freeze({
+        id: id,
+        label: typeof param.label === "string" && param.label ? param.label : id,
+        min: min,
+        max: max,
+        step: step,
+        default: clampNumber(param.default, min, max, min)
+    });
 }
 
-function registerSidebarTab() {
-    const tryRegister = function () {
-        if (app && app.extensionManager && app.extensionManager.registerSidebarTab) {
-            app.extensionManager.registerSidebarTab({
-                id: SIDEBAR_TAB_ID,
-                icon: "pi pi-sparkles",
-                title: "Link FX",
-                tooltip: "Link Effects - Add visual effects to connections",
-                type: "custom",
-                render: function (container) {
-                    sidebarContainer = container;
-                    buildSidebarContent(container);
-                },
-                destroy: function () {
-                    sidebarContainer = null;
-                }
-            });
-            log("Sidebar tab registered");
-        } else {
-            setTimeout(tryRegister, 200);
-        }
+// Declared defaults overlaid with the user's values, clamped to the current ranges.
+function getEffectParams(effect) {
+    let params = resolvedParamsCache.get(effect.id);
+    if (params) return params;
+    const stored = effectParams[effect.id] || {};
+    params = {};
+    for (const param of effect.params) {
+        params[param.id] = clampNumber(stored[param.id], param.min, param.max, param.default);
+    }
+    params = Object.freeze(params);
+    resolvedParamsCache.set(effect.id, params);
+    return params;
+}
+
+function setEffectParam(effectId, paramId, value) {
+    const effect = getEffect(effectId);
+    const param = effect && effect.params.find(function (p) { return p.id === paramId; });
+    if (!param) return;
+    let next = clampNumber(value, param.min, param.max, param.default);
+    if (param.step >= 1) next = Math.round(next);
+    if (!effectParams[effectId]) effectParams[effectId] = {};
+    effectParams[effectId][paramId] = next;
+    resolvedParamsCache.delete(effectId);
+    if (app && app.graph) app.graph.setDirtyCanvas(true, true);
+    saveSettings();
+}
+
+function resetEffectParams(effectId) {
+    delete effectParams[effectId];
+    resolvedParamsCache.delete(effectId);
+    if (sidebarContainer) buildSidebarContent(sidebarContainer);
+    if (app && app.graph) app.graph.setDirtyCanvas(true, true);
+    saveSettings();
+    log("params reset: " + effectId);
+}
+
+function registerEffect(definition) {
+    const effect = normalizeEffect(definition);
+    if (!effect) return null;
+    if (effectRegistry.has(effect.id)) log("replacing effect: " + effect.id);
+    effect.builtin = false;
+    effectRegistry.set(effect.id, effect);
+    failedEffects.delete(effect.id);
+    resolvedParamsCache.delete(effect.id);
+    onEffectRegistryChanged();
+    log("effect registered: " + effect.id);
+    return effect.id;
+}
+
+function unregisterEffect(id) {
+    if (!effectRegistry.delete(id)) return false;
+    failedEffects.delete(id);
+    resolvedParamsCache.delete(id);
+    onEffectRegistryChanged();
+    log("effect unregistered: " + id);
+    return true;
+}
+
+function listEffects() {
+    return Array.from(effectRegistry.values()).map(function (effect) {
+        return {
+            id: effect.id,
+            name: effect.name,
+            icon: effect.icon,
+            color: effect.color,
+            animated: effect.animated,
+            params: effect.params.slice(),
+            builtin: effect.builtin
+        };
+    });
+}
+
+function getEffect(id) {
+    if (id == null) return null;
+    return effectRegistry.get(id) || null;
+}
+
+// Accepts an effect id or, for values written before ids existed, a display name.
+function resolveEffectId(value) {
+    if (value == null || effectRegistry.has(value)) return value;
+    for (const effect of effectRegistry.values()) {
+        if (effect.name === value) return effect.id;
+    }
+    return value;
+}
+
+function onEffectRegistryChanged() {
+    if (sidebarContainer) buildSidebarContent(sidebarContainer);
+    refreshHooks();
+    refreshAnimationLoop();
+    if (app && app.graph) app.graph.setDirtyCanvas(true, true);
+}
+
+// Each draw runs inside its own save/restore, so a throwing third-party effect
+// can't leak canvas state into the rest of the frame.
+function drawEffect(effect, ctx, a, b, now, len, path, fx) {
+    ctx.save();
+    try {
+        if (fx.lod === "simple") {
+            drawSimpleStroke(ctx, path, effect, fx);
+        } else {
+            const speed = fx.params.speed || 1;
+            fx.time = getEffectTime(effect.id, now, speed);
+            fx.flowTime = fx.linkId == null ? fx.time : getFlowTime("fx:" + fx.linkId, path, now, speed, fx.time);
+            effect.draw(ctx, a, b, now, len, path, fx);
+        }
+        return true;
+    } catch (err) {
+        if (!failedEffects.has(effect.id)) {
+            failedEffects.add(effect.id);
+            warn("effect \"" + effect.id + "\" draw failed", err);
+        }
+        return false;
+    } finally {
+        ctx.restore();
+    }
+}
+
+for (const definition of BUILTIN_EFFECTS) {
+    const effect = normalizeEffect(definition);
+    effect.builtin = true;
+    effectRegistry.set(effect.id, effect);
+}
+
+const LinkFXApi = Object.freeze({
+    registerEffect: registerEffect,
+    unregisterEffect: unregisterEffect,
+    listEffects: listEffects,
+    getSmartPoint: getSmartPoint,
+    getSmartTangent: getSmartTangent,
+    getSmartNormal: getSmartNormal,
+    drawSmartCurve: drawSmartCurve,
+    getRenderStats: getRenderStats
+});
+
+if (typeof window !== "undefined") {
+    window.LinkFX = LinkFXApi;
+    window.dispatchEvent(new CustomEvent("linkfx:ready", { detail: LinkFXApi }));
+}
+
+export { registerEffect, unregisterEffect, listEffects };
+
+function startAnimationLoop() {
+    if (animationLoopId) return;
+    let lastTime = 0;
+    const loop = function (currentTime) {
+        animationLoopId = requestAnimationFrame(loop);
+        // Right after the graph redraws, the overlay catches up without waiting for the next tick.
+        if (currentTime - lastTime < 1000 / getEffectiveFps() && !overlayDirty) return;
+        lastTime = currentTime;
+        // Rope steps count towards the render budget like the link drawing they replace
+        if (gravityEnabled) measureLinkRender(function () { advanceRopes(currentTime); });
+        updateQualityGovernor();
+        snapshotCullStats();
+        const overlay = isOverlayActive();
+        const needsRedraw = (effectsNeedAnimation() && !overlay) || gravityEnabled || gifEnabled;
+        if (needsRedraw && app && app.canvas) {
+            if (app.canvas.setDirty) app.canvas.setDirty(true, true);
+        }
+        if (overlay) {
+            overlayDirty = false;
+            drawOverlayFrame();
+        } else if (overlayCanvas) {
+            removeOverlayCanvas();
+        }
+    };
+    animationLoopId = requestAnimationFrame(loop);
+    log("Animation loop started");
+}
+
+// ========== Quality governor ==========
+
+function getEffectiveFps() {
+    return Math.max(10, targetFps * QUALITY_TIERS[qualityTier].fpsScale);
+}
+
+function measureLinkRender(draw) {
+    const start = performance.now();
+    try {
+        return draw();
+    } finally {
+        frameRenderCost += performance.now() - start;
+    }
+}
+
+// Called once per loop tick with the link render time collected since the last one.
+function updateQualityGovernor() {
+    const cost = frameRenderCost;
+    frameRenderCost = 0;
+    if (!adaptiveQuality) return;
+    // Nothing was redrawn since the last tick, so there's nothing to judge.
+    if (cost === 0) return;
+    renderCostAvg = renderCostAvg * 0.9 + cost * 0.1;
+    if (renderCostAvg > RENDER_BUDGET_MS && qualityTier < QUALITY_TIERS.length - 1) {
+        underBudgetFrames = 0;
+        if (++overBudgetFrames >= QUALITY_DOWNGRADE_FRAMES) setQualityTier(qualityTier + 1);
+    } else if (renderCostAvg < RENDER_BUDGET_MS * 0.4 && qualityTier > 0) {
+        overBudgetFrames = 0;
+        if (++underBudgetFrames >= QUALITY_UPGRADE_FRAMES) setQualityTier(qualityTier - 1);
+    } else {
+        overBudgetFrames = 0;
+        underBudgetFrames = 0;
+    }
+}
+
+function setQualityTier(tier) {
+    overBudgetFrames = 0;
+    underBudgetFrames = 0;
+    if (tier === qualityTier) return;
+    qualityTier = tier;
+    updateQualityIndicator();
+    log("quality tier: " + QUALITY_TIERS[tier].id + " (avg link render " + renderCostAvg.toFixed(1) + "ms)");
+}
+
+function resetQualityGovernor() {
+    renderCostAvg = 0;
+    setQualityTier(0);
+}
+
+// Lower tiers hand short links back to LiteGraph's plain rendering.
+function shouldDrawEffectAtQuality(len) {
+    return len >= QUALITY_TIERS[qualityTier].plainBelowLength;
+}
+
+// ========== Viewport culling ==========
+
+// Links drawn with / without LinkFX work since the last loop tick; see getRenderStats().
+const cullCounters = { drawn: 0, culled: 0 };
+let lastCullStats = { drawn: 0, culled: 0 };
+
+// Conservative test against the canvas visible area (graph space). The margin
+// covers spline bulge, effect glow and, with gravity, rope sag.
+function isLinkInView(canvas, a, b, len) {
+    const area = canvas && canvas.visible_area;
+    if (!area || area[2] <= 0 || area[3] <= 0) return true;
+    const margin = len * (gravityEnabled ? 0.75 : 0.25) + 40;
+    return !(Math.max(a[0], b[0]) + margin < area[0] || Math.min(a[0], b[0]) - margin > area[0] + area[2] ||
+        Math.max(a[1], b[1]) + margin < area[1] || Math.min(a[1], b[1]) - margin > area[1] + area[3]);
+}
+
+function countLinkVisibility(inView) {
+    if (inView) cullCounters.drawn++;
+    else cullCounters.culled++;
+}
+
+function snapshotCullStats() {
+    lastCullStats = { drawn: cullCounters.drawn, culled: cullCounters.culled };
+    cullCounters.drawn = 0;
+    cullCounters.culled = 0;
+}
+
+function getRenderStats() {
+    return {
+        drawn: lastCullStats.drawn,
+        culled: lastCullStats.culled,
+        ropes: ropePhysics.size,
+        gifFrames: countDecodedFrames(),
+        quality: QUALITY_TIERS[qualityTier].id,
+        renderCostMs: renderCostAvg
+    };
+}
+
+function updateQualityIndicator() {
+    if (!qualityIndicator) return;
+    const tier = QUALITY_TIERS[qualityTier];
+    qualityIndicator.textContent = adaptiveQuality ? "Quality: " + tier.label : "Quality: fixed";
+    qualityIndicator.style.color = qualityTier === 0 ? "var(--p-text-muted-color, #888)" : qualityTier === 1 ? "rgba(230, 180, 60, 0.9)" : "rgba(230, 90, 90, 0.9)";
+}
+
+function needsAnimationLoop() {
+    return (hasAnimatedEffect() && animationMode !== "static") || gravityEnabled || (gifEnabled && hasSpriteSource());
+}
+
+function refreshAnimationLoop() {
+    if (needsAnimationLoop()) startAnimationLoop();
+    else stopAnimationLoop();
+}
+
+function stopAnimationLoop() {
+    if (animationLoopId) {
+        cancelAnimationFrame(animationLoopId);
+        animationLoopId = null;
+        log("Animation loop stopped");
+    }
+    removeOverlayCanvas();
+}
+
+// ========== Overlay canvas ==========
+
+// Ropes and GIF sprites are drawn by renderLink as part of the graph, so while either is on
+// the graph has to be redrawn every frame anyway and the overlay buys nothing.
+function isOverlayActive() {
+    return overlayRendering && patchedDrawConnections !== null && !gravityEnabled &&
+        !(gifEnabled && hasSpriteSource()) && effectsNeedAnimation();
+}
+
+function shouldRecordOverlayLink(canvas, effect, fx) {
+    return canvas === app.canvas && effect.animated && fx.lod !== "simple" &&
+        !failedEffects.has(effect.id) && isOverlayActive();
+}
+
+// LiteGraph reuses its slot position arrays between links, so the record keeps copies.
+function recordOverlayLink(ctx, link, effect, a, b, len, fx, renderMode, startDir, endDir, options) {
+    if (!overlayTransform) overlayTransform = ctx.getTransform();
+    const recA = [a[0], a[1]];
+    const recB = [b[0], b[1]];
+    overlayLinks.push({
+        link: link,
+        effect: effect,
+        a: recA,
+        b: recB,
+        len: len,
+        path: createLinkPath(recA, recB, null, renderMode, startDir, endDir, options, link ? link.id : null),
+        fx: fx,
+        alpha: ctx.globalAlpha
+    });
+}
+
+function syncOverlayCanvas() {
+    const graphCanvas = app && app.canvas && app.canvas.canvas;
+    if (!graphCanvas || !graphCanvas.parentElement) return null;
+    if (!overlayCanvas) {
+        overlayCanvas = document.createElement("canvas");
+        overlayCanvas.id = "linkfx-overlay";
+        overlayCanvas.style.position = "absolute";
+        overlayCanvas.style.pointerEvents = "none";
+        log("overlay canvas created");
+    }
+    if (overlayCanvas.previousSibling !== graphCanvas) graphCanvas.insertAdjacentElement("afterend", overlayCanvas);
+    if (overlayCanvas.width !== graphCanvas.width) overlayCanvas.width = graphCanvas.width;
+    if (overlayCanvas.height !== graphCanvas.height) overlayCanvas.height = graphCanvas.height;
+    overlayCanvas.style.left = graphCanvas.offsetLeft + "px";
+    overlayCanvas.style.top = graphCanvas.offsetTop + "px";
+    overlayCanvas.style.width = graphCanvas.clientWidth + "px";
+    overlayCanvas.style.height = graphCanvas.clientHeight + "px";
+    return overlayCanvas;
+}
+
+function removeOverlayCanvas() {
+    overlayLinks.length = 0;
+    overlayTransform = null;
+    overlayDirty = false;
+    if (!overlayCanvas) return;
+    if (overlayCanvas.parentElement) overlayCanvas.parentElement.removeChild(overlayCanvas);
+    overlayCanvas = null;
+    log("overlay canvas removed");
+}
+
+// The overlay sits above the graph canvas, so node boxes are cut out of it to keep
+// the wires visually behind the nodes.
+function clipOutNodes(ctx) {
+    const canvas = app.canvas;
+    const nodes = canvas.visible_nodes || (canvas.graph && canvas.graph._nodes) || [];
+    ctx.beginPath();
+    ctx.rect(-1e7, -1e7, 2e7, 2e7);
+    for (const node of nodes) {
+        const box = node && typeof node.getBounding === "function" ? node.getBounding() : null;
+        if (box) ctx.rect(box[0], box[1], box[2], box[3]);
+    }
+    ctx.clip("evenodd");
+}
+
+function drawOverlayFrame() {
+    const canvas = syncOverlayCanvas();
+    if (!canvas) return;
+    const ctx = canvas.getContext("2d");
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    if (!overlayLinks.length || !overlayTransform) return;
+
+    const now = getTimeForEffect();
+    let failed = false;
+    ctx.save();
+    ctx.setTransform(overlayTransform);
+    clipOutNodes(ctx);
+    measureLinkRender(function () {
+        for (const rec of overlayLinks) {
+            ctx.globalAlpha = rec.alpha;
+            if (!drawEffect(rec.effect, ctx, rec.a, rec.b, now, rec.len, rec.path, rec.fx)) failed = true;
+        }
+    });
+    ctx.restore();
+    // Failed effects are skipped when recording, so a graph redraw gives those links their plain wire back.
+    if (failed && app.canvas && app.canvas.setDirty) app.canvas.setDirty(true, true);
+}
+
+function setOverlayRendering(enabled) {
+    overlayRendering = enabled;
+    if (!enabled) removeOverlayCanvas();
+    if (app && app.graph) app.graph.setDirtyCanvas(true, true);
+    log("overlay rendering: " + enabled);
+}
+
+function registerSidebarTab() {
+    const tryRegister = function () {
+        if (app && app.extensionManager && app.extensionManager.registerSidebarTab) {
+            app.extensionManager.registerSidebarTab({
+                id: SIDEBAR_TAB_ID,
+                icon: "pi pi-sparkles",
+                title: "Link FX",
+                tooltip: "Link Effects - Add visual effects to connections",
+                type: "custom",
+                render: function (container) {
+                    sidebarContainer = container;
+                    buildSidebarContent(container);
+                },
+                destroy: function () {
+                    sidebarContainer = null;
+                }
+            });
+            log("Sidebar tab registered");
+        } else {
+            setTimeout(tryRegister, 200);
+        }
     };
     tryRegister();
 }
@@ -791,6 +2238,50 @@ function buildSidebarContent(container) {
         modeButtons.appendChild(btn);
     }
     modeSection.appendChild(modeButtons);
+    if (animationMode === "execution") {
+        const dimToggle = createOptionToggle("Dim completed links", dimCompletedLinks, function () {
+            dimCompletedLinks = !dimCompletedLinks;
+            refreshHooks();
+            if (sidebarContainer) buildSidebarContent(sidebarContainer);
+            if (app && app.graph) app.graph.setDirtyCanvas(true, true);
+            saveSettings();
+        });
+        dimToggle.style.padding = "6px 8px 0";
+        modeSection.appendChild(dimToggle);
+    }
+    const adaptiveToggle = createOptionToggle("Adaptive quality", adaptiveQuality, function () {
+        adaptiveQuality = !adaptiveQuality;
+        resetQualityGovernor();
+        if (sidebarContainer) buildSidebarContent(sidebarContainer);
+        if (app && app.graph) app.graph.setDirtyCanvas(true, true);
+        saveSettings();
+        log("adaptive quality: " + adaptiveQuality);
+    });
+    adaptiveToggle.style.padding = "6px 8px 0";
+    modeSection.appendChild(adaptiveToggle);
+    const overlayToggle = createOptionToggle("Animate on overlay canvas", overlayRendering, function () {
+        setOverlayRendering(!overlayRendering);
+        if (sidebarContainer) buildSidebarContent(sidebarContainer);
+        saveSettings();
+    });
+    overlayToggle.style.padding = "6px 8px 0";
+    overlayToggle.title = "Redraws only the animated wires each frame instead of the whole graph. Not used with gravity or GIFs.";
+    modeSection.appendChild(overlayToggle);
+    const speedToggle = createOptionToggle("Constant speed along wires", constantSpeed, function () {
+        constantSpeed = !constantSpeed;
+        linkFlowClocks.clear();
+        if (sidebarContainer) buildSidebarContent(sidebarContainer);
+        if (app && app.graph) app.graph.setDirtyCanvas(true, true);
+        saveSettings();
+    });
+    speedToggle.style.padding = "6px 8px 0";
+    speedToggle.title = "Particles and sprites move at the same pixel speed on long and short wires instead of crossing every wire in the same time.";
+    modeSection.appendChild(speedToggle);
+    qualityIndicator = document.createElement("div");
+    qualityIndicator.style.fontSize = "9px";
+    qualityIndicator.style.padding = "4px 8px 0";
+    modeSection.appendChild(qualityIndicator);
+    updateQualityIndicator();
     container.appendChild(modeSection);
 
     // GIF 功能配置区域
@@ -810,7 +2301,7 @@ function buildSidebarContent(container) {
     gifTitle.style.display = "flex";
     gifTitle.style.alignItems = "center";
     gifTitle.style.gap = "8px";
-    gifTitle.innerHTML = "<span style=\"font-size:16px;\">🎬</span><span style=\"font-size:11px;font-weight:600;color:var(--p-text-color, #e0e0e0);\">GIF on Link</span>";
+    gifTitle.innerHTML = "<span style=\"font-size:16px;\">🎬</span><span style=\"font-size:11px;font-weight:600;color:var(--p-text-color, #e0e0e0);\">Sprite on Link</span>";
     gifHeader.appendChild(gifTitle);
     
     const gifToggle = document.createElement("div");
@@ -840,17 +2331,13 @@ function buildSidebarContent(container) {
         e.stopPropagation();
         gifEnabled = !gifEnabled;
         if (sidebarContainer) buildSidebarContent(sidebarContainer);
-        if (gifEnabled) {
-            ensureGifContainer();
-            if (gifUrl) {
-                // 如果有 GIF URL，确保动画循环运行
-                startAnimationLoop();
-            }
-        } else {
-            cleanupGifElements();
-            if (currentEffect === null && !gravityEnabled) stopAnimationLoop();
-        }
+        if (gifEnabled) ensureSprite(gifUrl);
+        else resetSprites();
+        refreshHooks();
+        // 按类型/按连线指定的图片也需要动画循环，关闭时还要看有没有动画效果
+        refreshAnimationLoop();
         if (app && app.graph) app.graph.setDirtyCanvas(true, true);
+        saveSettings();
         log("GIF enabled: " + gifEnabled);
     });
     
@@ -858,14 +2345,20 @@ function buildSidebarContent(container) {
         // 文件选择器
         const fileInput = document.createElement("input");
         fileInput.type = "file";
-        fileInput.accept = "image/gif";
+        fileInput.accept = SPRITE_MIME_TYPES.join(",") + ",.apng";
         fileInput.style.display = "none";
         fileInput.addEventListener("change", function(e) {
             const file = e.target.files[0];
             if (!file) return;
             
-            if (!file.type.startsWith("image/gif")) {
-                warn("请选择 GIF 格式的文件");
+            // 部分系统给 .apng 文件的类型是空的
+            const isApng = /\.apng$/i.test(file.name);
+            if (SPRITE_MIME_TYPES.indexOf(file.type) === -1 && !isApng) {
+                warn("请选择 GIF、PNG、APNG、WebP、JPEG 或 SVG 格式的文件");
+                return;
+            }
+            if (file.size > SPRITE_MAX_BYTES) {
+                warn("文件过大（最大 " + (SPRITE_MAX_BYTES >> 20) + "MB）");
                 return;
             }
             
@@ -873,11 +2366,15 @@ function buildSidebarContent(container) {
             reader.onload = function(event) {
                 const base64 = event.target.result;
                 gifUrl = base64;
+                gifSpriteId = "";
+                storeDefaultSprite(file.name, base64);
                 gifUrlInput.value = "[已选择: " + file.name + "]"; // 显示文件名，标记为已选择
                 gifUrlInput.dataset.isFileSelected = "true"; // 标记为文件选择
-                cleanupGifElements();
-                ensureGifContainer(); // 确保容器存在
+                resetSprites();
+                ensureSprite(gifUrl); // 开始解码
+                saveSettings();
                 
+                refreshHooks();
                 // 确保动画循环运行
                 if (gifEnabled) {
                     startAnimationLoop();
@@ -924,7 +2421,7 @@ function buildSidebarContent(container) {
         
         const gifUrlInput = document.createElement("input");
         gifUrlInput.type = "text";
-        gifUrlInput.placeholder = "GIF URL 或点击📁按钮选择文件";
+        gifUrlInput.placeholder = "图片 URL（GIF/PNG/WebP/SVG）或点击📁选择文件";
         // 如果 gifUrl 是 base64，显示提示，否则显示原值
         if (gifUrl && gifUrl.startsWith("data:image")) {
             gifUrlInput.value = "[已选择本地文件]";
@@ -963,7 +2460,7 @@ function buildSidebarContent(container) {
         // 文件选择按钮
         const fileSelectButton = document.createElement("button");
         fileSelectButton.textContent = "📁";
-        fileSelectButton.title = "选择本地 GIF 文件";
+        fileSelectButton.title = "选择本地图片文件";
         fileSelectButton.style.padding = "6px 10px";
         fileSelectButton.style.borderRadius = "4px";
         fileSelectButton.style.border = "none";
@@ -1023,17 +2520,17 @@ function buildSidebarContent(container) {
             if (gifUrl) {
                 let displayText = "";
                 if (gifUrl.startsWith("data:image")) {
-                    displayText = "✓ GIF 已加载: [本地文件]";
+                    displayText = "✓ 已加载: [本地文件]";
                 } else if (gifUrl.length > 30) {
-                    displayText = "✓ GIF 已加载: " + gifUrl.substring(0, 30) + "...";
+                    displayText = "✓ 已加载: " + gifUrl.substring(0, 30) + "...";
                 } else {
-                    displayText = "✓ GIF 已加载: " + gifUrl;
+                    displayText = "✓ 已加载: " + gifUrl;
                 }
                 gifStatus.textContent = displayText;
                 gifStatus.style.color = "rgba(100,200,100,0.8)";
                 gifStatus.style.background = "rgba(100,200,100,0.1)";
             } else {
-                gifStatus.textContent = "⚠ 请输入 GIF URL 或选择本地文件";
+                gifStatus.textContent = "⚠ 请输入图片 URL 或选择本地文件";
                 gifStatus.style.color = "var(--p-text-muted-color, #888)";
                 gifStatus.style.background = "transparent";
             }
@@ -1047,8 +2544,9 @@ function buildSidebarContent(container) {
             // 如果当前是文件选择的结果，直接使用 base64
             if (gifUrlInput.dataset.isFileSelected === "true" && gifUrl && gifUrl.startsWith("data:image")) {
                 log("Using file picker selected GIF (base64)");
-                cleanupGifElements();
-                ensureGifContainer(); // 确保容器存在
+                resetSprites();
+                ensureSprite(gifUrl); // 开始解码
+                refreshHooks();
                 if (gifEnabled) startAnimationLoop(); // 确保动画循环运行
                 if (app && app.graph) app.graph.setDirtyCanvas(true, true);
                 updateStatus();
@@ -1065,8 +2563,9 @@ function buildSidebarContent(container) {
             if (!newUrl || newUrl.startsWith("[已选择")) {
                 if (gifUrl && gifUrl.startsWith("data:image")) {
                     // 已经是 base64，直接应用
-                    cleanupGifElements();
-                    ensureGifContainer();
+                    resetSprites();
+                    ensureSprite(gifUrl);
+                    refreshHooks();
                     if (gifEnabled) startAnimationLoop();
                     if (app && app.graph) app.graph.setDirtyCanvas(true, true);
                     updateStatus();
@@ -1084,10 +2583,13 @@ function buildSidebarContent(container) {
             
             // 清除文件选择标记
             gifUrlInput.dataset.isFileSelected = "false";
+            const previousUrl = gifUrl;
             
             // 检查是否是 base64 数据 URL
+            gifSpriteId = "";
             if (newUrl.startsWith("data:image")) {
                 gifUrl = newUrl;
+                storeDefaultSprite("粘贴的图片", newUrl);
             } else if (newUrl.startsWith("http://") || newUrl.startsWith("https://")) {
                 // 完整的 HTTP/HTTPS URL
                 gifUrl = newUrl;
@@ -1116,11 +2618,15 @@ function buildSidebarContent(container) {
                     gifUrl = newUrl;
                 }
             }
+            // 精灵表设置属于上一张图
+            if (gifUrl !== previousUrl) Object.assign(gifSheet, DEFAULT_SPRITE_SHEET);
             
-            cleanupGifElements();
-            ensureGifContainer(); // 确保容器存在
+            resetSprites();
+            ensureSprite(gifUrl); // 开始解码
+            refreshHooks();
             if (gifEnabled) startAnimationLoop(); // 确保动画循环运行
             if (app && app.graph) app.graph.setDirtyCanvas(true, true);
+            saveSettings();
             log("GIF URL applied: " + (gifUrl.length > 50 ? gifUrl.substring(0, 50) + "..." : gifUrl));
             
             // 更新状态
@@ -1153,6 +2659,11 @@ function buildSidebarContent(container) {
         gifInputContainer.appendChild(applyButton);
         gifSection.appendChild(gifInputContainer);
         gifSection.appendChild(gifStatus);
+        if (gifUrl) {
+            gifSection.appendChild(createSpritePreview());
+            ensureSprite(gifUrl);
+        }
+        gifSection.appendChild(createSpriteSheetControls());
         
         // 清除按钮
         if (gifUrl) {
@@ -1177,11 +2688,14 @@ function buildSidebarContent(container) {
             });
             clearButton.addEventListener("click", function() {
                 gifUrl = "";
+                gifSpriteId = "";
                 gifUrlInput.value = "";
                 gifUrlInput.dataset.isFileSelected = "false";
-                cleanupGifElements();
+                resetSprites();
+                refreshHooks();
                 if (sidebarContainer) buildSidebarContent(sidebarContainer);
                 if (app && app.graph) app.graph.setDirtyCanvas(true, true);
+                saveSettings();
                 log("GIF cleared");
             });
             gifSection.appendChild(clearButton);
@@ -1203,15 +2717,9 @@ function buildSidebarContent(container) {
         gifSizeSlider.style.marginBottom = "6px";
         gifSizeSlider.addEventListener("input", function() {
             gifSize = parseInt(this.value);
-            // 更新所有已存在的 GIF 元素的大小
-            for (const [key, img] of gifElements) {
-                if (img && img.parentElement) {
-                    img.style.width = gifSize + "px";
-                    img.style.height = gifSize + "px";
-                }
-            }
             if (sidebarContainer) buildSidebarContent(sidebarContainer);
             if (app && app.graph) app.graph.setDirtyCanvas(true, true);
+            saveSettings();
         });
         gifSection.appendChild(gifSizeSlider);
         
@@ -1232,8 +2740,11 @@ function buildSidebarContent(container) {
         gifSpeedSlider.addEventListener("input", function() {
             gifSpeed = parseFloat(this.value);
             if (sidebarContainer) buildSidebarContent(sidebarContainer);
+            saveSettings();
         });
         gifSection.appendChild(gifSpeedSlider);
+        gifSection.appendChild(createSpriteLayoutControls());
+        gifSection.appendChild(createSpriteLibrarySection());
     }
     
     container.appendChild(gifSection);
@@ -1244,7 +2755,6 @@ function buildSidebarContent(container) {
     gravitySection.style.background = gravityEnabled ? "rgba(100, 180, 100, 0.15)" : "var(--p-surface-ground, rgba(0,0,0,0.2))";
     gravitySection.style.borderRadius = "8px";
     gravitySection.style.border = gravityEnabled ? "1px solid rgba(100, 180, 100, 0.3)" : "1px solid transparent";
-    gravitySection.style.cursor = "pointer";
     gravitySection.style.transition = "all 150ms ease";
 
     const toggleBg = gravityEnabled ? "rgba(100,200,100,0.8)" : "rgba(100,100,100,0.4)";
@@ -1255,6 +2765,7 @@ function buildSidebarContent(container) {
     gravityContent.style.alignItems = "center";
     gravityContent.style.justifyContent = "space-between";
     gravityContent.style.width = "100%";
+    gravityContent.style.cursor = "pointer";
 
     const gravityLeft = document.createElement("div");
     gravityLeft.style.display = "flex";
@@ -1308,14 +2819,17 @@ function buildSidebarContent(container) {
     gravityContent.appendChild(gravityLeft);
     gravityContent.appendChild(toggleSwitch);
     gravitySection.appendChild(gravityContent);
+    if (gravityEnabled) gravitySection.appendChild(createRopeControls());
 
-    gravitySection.addEventListener("click", function () {
+    gravityContent.addEventListener("click", function () {
         gravityEnabled = !gravityEnabled;
         if (sidebarContainer) buildSidebarContent(sidebarContainer);
         if (gravityEnabled) startAnimationLoop();
-        else if (currentEffect === null && !gifEnabled && animationMode === "static") stopAnimationLoop();
+        else if (!hasActiveEffect() && !gifEnabled && animationMode === "static") stopAnimationLoop();
         if (!gravityEnabled) ropePhysics.clear();
+        refreshHooks();
         if (app && app.graph) app.graph.setDirtyCanvas(true, true);
+        saveSettings();
         log("gravity: " + gravityEnabled);
     });
     container.appendChild(gravitySection);
@@ -1332,9 +2846,21 @@ function buildSidebarContent(container) {
     effectsLabel.style.padding = "0 8px";
     container.appendChild(effectsLabel);
 
-    for (let e = 0; e < EFFECTS.length; e++) {
-        const item = createEffectButton(EFFECTS[e], e);
-        container.appendChild(item);
+    container.appendChild(createOptionToggle("Tint by link color", tintByLinkColor, function () {
+        tintByLinkColor = !tintByLinkColor;
+        if (sidebarContainer) buildSidebarContent(sidebarContainer);
+        if (app && app.graph) app.graph.setDirtyCanvas(true, true);
+        saveSettings();
+        log("tint by link color: " + tintByLinkColor);
+    }));
+
+    for (const effect of effectRegistry.values()) {
+        container.appendChild(createEffectButton(effect));
+    }
+
+    const selectedEffect = getEffect(currentEffect);
+    if (selectedEffect && selectedEffect.params.length) {
+        container.appendChild(createEffectParamsSection(selectedEffect));
     }
 
     const disableItem = document.createElement("button");
@@ -1359,478 +2885,2530 @@ function buildSidebarContent(container) {
     disableItem.addEventListener("mouseleave", function () { this.style.background = "transparent"; });
     disableItem.addEventListener("click", function () { selectEffect(null); });
     container.appendChild(disableItem);
+
+    container.appendChild(createLinkTypeSection());
     log("Sidebar content built");
 }
 
-function createModeButton(mode) {
-    const isSelected = animationMode === mode.id;
-    const btn = document.createElement("button");
-    btn.innerHTML = "<span style=\"font-size:12px;margin-right:6px;\">" + mode.icon + "</span><span style=\"font-size:10px;\">" + mode.label + "</span>";
-    btn.style.display = "flex";
-    btn.style.alignItems = "center";
-    btn.style.padding = "6px 8px";
-    btn.style.borderRadius = "4px";
-    btn.style.border = "none";
-    btn.style.background = isSelected ? "rgba(100,150,255,0.2)" : "transparent";
-    btn.style.borderLeft = isSelected ? "2px solid rgba(100,150,255,0.8)" : "2px solid transparent";
-    btn.style.color = isSelected ? "var(--p-text-color, #fff)" : "var(--p-text-muted-color, #aaa)";
-    btn.style.cursor = "pointer";
-    btn.style.fontSize = "10px";
-    btn.style.fontFamily = "inherit";
-    btn.style.textAlign = "left";
-    btn.style.transition = "all 100ms ease";
-    btn.style.width = "100%";
-    btn.dataset.modeId = mode.id;
-    btn.addEventListener("mouseenter", function () { if (animationMode !== this.dataset.modeId) this.style.background = "rgba(255,255,255,0.05)"; });
-    btn.addEventListener("mouseleave", function () { if (animationMode !== this.dataset.modeId) this.style.background = "transparent"; });
-    btn.addEventListener("click", function () {
-        animationMode = this.dataset.modeId;
-        if (sidebarContainer) buildSidebarContent(sidebarContainer);
-        if (animationMode === "static" && !gifEnabled) stopAnimationLoop();
-        else if (currentEffect !== null || gifEnabled) startAnimationLoop();
-        if (app && app.graph) app.graph.setDirtyCanvas(true, true);
-        log("animation mode: " + animationMode);
-    });
-    return btn;
+function createToggleSwitch(enabled) {
+    const toggle = document.createElement("div");
+    toggle.style.position = "relative";
+    toggle.style.width = "32px";
+    toggle.style.height = "18px";
+    toggle.style.flexShrink = "0";
+    toggle.style.borderRadius = "9px";
+    toggle.style.background = enabled ? "rgba(100,200,100,0.8)" : "rgba(100,100,100,0.4)";
+    toggle.style.transition = "all 0.2s ease";
+
+    const knob = document.createElement("div");
+    knob.style.width = "14px";
+    knob.style.height = "14px";
+    knob.style.borderRadius = "50%";
+    knob.style.background = "white";
+    knob.style.position = "absolute";
+    knob.style.top = "2px";
+    knob.style.left = enabled ? "16px" : "2px";
+    knob.style.transition = "all 0.2s ease";
+    knob.style.boxShadow = "0 1px 2px rgba(0,0,0,0.2)";
+    toggle.appendChild(knob);
+    return toggle;
 }
 
-function createEffectButton(effect, index) {
-    const item = document.createElement("button");
-    item.innerHTML = "<span style=\"font-size:16px;margin-right:10px;\">" + effect.icon + "</span><span style=\"font-weight:500;font-size:12px;\">" + effect.name + "</span>";
-    const isSelected = currentEffect === index;
-    item.style.display = "flex";
-    item.style.alignItems = "center";
-    item.style.padding = "8px 10px";
-    item.style.borderRadius = "6px";
-    item.style.border = "none";
-    item.style.background = isSelected ? "var(--p-primary-color, rgba(100,150,255,0.15))" : "transparent";
-    item.style.borderLeft = isSelected ? "2px solid var(--p-primary-color, rgba(100,150,255,0.8))" : "2px solid transparent";
-    item.style.color = "var(--p-text-color, #c8c8c8)";
-    item.style.cursor = "pointer";
-    item.style.fontSize = "11px";
-    item.style.fontFamily = "inherit";
-    item.style.textAlign = "left";
-    item.style.transition = "all 100ms ease";
-    item.style.width = "100%";
-    item.dataset.index = index;
-    item.addEventListener("mouseenter", function () { if (currentEffect !== parseInt(this.dataset.index)) this.style.background = "var(--p-surface-hover, rgba(255,255,255,0.06))"; });
-    item.addEventListener("mouseleave", function () { if (currentEffect !== parseInt(this.dataset.index)) this.style.background = "transparent"; });
-    item.addEventListener("click", function () { selectEffect(parseInt(this.dataset.index)); });
-    return item;
+function createOptionToggle(label, enabled, onToggle) {
+    const row = document.createElement("div");
+    row.style.display = "flex";
+    row.style.alignItems = "center";
+    row.style.justifyContent = "space-between";
+    row.style.padding = "4px 8px 8px";
+    row.style.cursor = "pointer";
+
+    const text = document.createElement("span");
+    text.textContent = label;
+    text.style.fontSize = "10px";
+    text.style.color = "var(--p-text-muted-color, #aaa)";
+    row.appendChild(text);
+    row.appendChild(createToggleSwitch(enabled));
+    row.addEventListener("click", function (e) {
+        e.stopPropagation();
+        onToggle();
+    });
+    return row;
 }
 
-function selectEffect(index) {
-    currentEffect = index;
-    if (sidebarContainer) buildSidebarContent(sidebarContainer);
-    if (!installed && index !== null) installHooks();
-    const needsAnimation = (index !== null && animationMode !== "static") || gravityEnabled || gifEnabled;
-    if (needsAnimation) startAnimationLoop(); else stopAnimationLoop();
-    if (app && app.graph) app.graph.setDirtyCanvas(true, true);
-    log(index !== null ? "effect: " + EFFECTS[index].name : "effects disabled");
+function formatParamValue(param, value) {
+    if (param.step >= 1) return String(Math.round(value));
+    return value.toFixed(param.step >= 0.1 ? 1 : 2);
 }
 
-function getSelectedNodeIds() {
-    const selected = app && app.canvas && app.canvas.selected_nodes;
-    if (!selected) return new Set();
-    return new Set(Object.keys(selected).map(function (id) { return parseInt(id); }));
-}
+function createEffectParamsSection(effect) {
+    const section = document.createElement("div");
+    section.style.margin = "8px 0 4px";
+    section.style.padding = "8px";
+    section.style.background = "var(--p-surface-ground, rgba(0,0,0,0.2))";
+    section.style.borderRadius = "8px";
 
-function shouldAnimateLink(link) {
-    if (animationMode === "full") return true;
-    if (animationMode === "static") return true;
-    if (animationMode === "selected") {
-        if (!link) return true;
-        const selectedIds = getSelectedNodeIds();
-        if (selectedIds.size === 0) return false;
-        return selectedIds.has(link.origin_id) || selectedIds.has(link.target_id);
+    const header = document.createElement("div");
+    header.style.display = "flex";
+    header.style.alignItems = "center";
+    header.style.justifyContent = "space-between";
+    header.style.marginBottom = "6px";
+
+    const title = document.createElement("span");
+    title.textContent = effect.name + " settings";
+    title.style.fontSize = "10px";
+    title.style.fontWeight = "600";
+    title.style.color = "var(--p-text-muted-color, #888)";
+    header.appendChild(title);
+
+    const resetBtn = document.createElement("button");
+    resetBtn.textContent = "Reset";
+    resetBtn.style.padding = "2px 6px";
+    resetBtn.style.fontSize = "9px";
+    resetBtn.style.fontFamily = "inherit";
+    resetBtn.style.border = "none";
+    resetBtn.style.borderRadius = "4px";
+    resetBtn.style.background = "rgba(255,255,255,0.08)";
+    resetBtn.style.color = "var(--p-text-color, #c8c8c8)";
+    resetBtn.style.cursor = "pointer";
+    resetBtn.addEventListener("click", function () { resetEffectParams(effect.id); });
+    header.appendChild(resetBtn);
+    section.appendChild(header);
+
+    const values = getEffectParams(effect);
+    for (const param of effect.params) {
+        const label = document.createElement("div");
+        label.textContent = param.label + ": " + formatParamValue(param, values[param.id]);
+        label.style.fontSize = "9px";
+        label.style.color = "var(--p-text-muted-color, #888)";
+        label.style.marginBottom = "4px";
+        section.appendChild(label);
+
+        const slider = document.createElement("input");
+        slider.type = "range";
+        slider.min = String(param.min);
+        slider.max = String(param.max);
+        slider.step = String(param.step);
+        slider.value = String(values[param.id]);
+        slider.style.width = "100%";
+        slider.style.marginBottom = "6px";
+        // Only the label is refreshed while dragging; rebuilding the sidebar would drop the drag.
+        slider.addEventListener("input", function () {
+            setEffectParam(effect.id, param.id, parseFloat(this.value));
+            label.textContent = param.label + ": " + formatParamValue(param, getEffectParams(effect)[param.id]);
+        });
+        section.appendChild(slider);
     }
-    return false;
+    return section;
 }
 
-function getTimeForEffect() {
-    if (animationMode === "static") return staticTime;
-    return performance.now();
+function createSmallButton(text, title, onClick) {
+    const button = document.createElement("button");
+    button.textContent = text;
+    if (title) button.title = title;
+    button.style.padding = "2px 6px";
+    button.style.borderRadius = "4px";
+    button.style.border = "none";
+    button.style.background = "var(--p-surface-ground, rgba(0,0,0,0.3))";
+    button.style.color = "var(--p-text-color, #e0e0e0)";
+    button.style.fontSize = "10px";
+    button.style.cursor = "pointer";
+    button.style.fontFamily = "inherit";
+    button.style.flexShrink = "0";
+    button.addEventListener("mouseenter", function () { this.style.background = "var(--p-surface-hover, rgba(255,255,255,0.1))"; });
+    button.addEventListener("mouseleave", function () { this.style.background = "var(--p-surface-ground, rgba(0,0,0,0.3))"; });
+    button.addEventListener("click", function (e) {
+        e.stopPropagation();
+        onClick();
+    });
+    return button;
 }
 
-// ========== GIF 功能相关函数 ==========
+function createSubsectionLabel(text) {
+    const label = document.createElement("div");
+    label.textContent = text;
+    label.style.fontSize = "9px";
+    label.style.fontWeight = "600";
+    label.style.color = "var(--p-text-muted-color, #888)";
+    label.style.margin = "8px 0 4px";
+    return label;
+}
 
-function getCanvasContainer() {
-    if (!app || !app.canvas) {
-        log("getCanvasContainer: app or canvas not available");
-        return null;
-    }
-    const canvas = app.canvas.canvas;
-    if (!canvas) {
-        log("getCanvasContainer: canvas element not found");
-        return null;
-    }
-    
-    // 尝试多种方法找到正确的容器
-    let container = canvas.parentElement;
-    
-    // 如果父元素存在，尝试找到包含它的相对定位容器
-    if (container) {
-        // 查找具有 position: relative 的父容器
-        let current = container;
-        while (current && current !== document.body) {
-            const style = window.getComputedStyle(current);
-            if (style.position === "relative" || style.position === "absolute") {
-                container = current;
-                break;
-            }
-            current = current.parentElement;
+// 滑块拖动时只更新标签，不重建侧边栏
+function createLabeledSlider(min, max, step, value, format, onInput) {
+    const wrap = document.createElement("div");
+    const label = document.createElement("div");
+    label.textContent = format(value);
+    label.style.fontSize = "9px";
+    label.style.color = "var(--p-text-muted-color, #888)";
+    label.style.margin = "6px 0 4px";
+    wrap.appendChild(label);
+
+    const slider = document.createElement("input");
+    slider.type = "range";
+    slider.min = String(min);
+    slider.max = String(max);
+    slider.step = String(step);
+    slider.value = String(value);
+    slider.style.width = "100%";
+    slider.addEventListener("input", function () {
+        const next = parseFloat(this.value);
+        onInput(next);
+        label.textContent = format(next);
+        if (app && app.graph) app.graph.setDirtyCanvas(true, true);
+        saveSettings();
+    });
+    wrap.appendChild(slider);
+    return wrap;
+}
+
+function createChoiceRow(options, current, onSelect) {
+    const row = document.createElement("div");
+    row.style.display = "flex";
+    row.style.gap = "4px";
+    row.style.marginTop = "6px";
+    for (const option of options) {
+        const button = createSmallButton(option.label, null, function () {
+            onSelect(option.id);
+            if (sidebarContainer) buildSidebarContent(sidebarContainer);
+            if (app && app.graph) app.graph.setDirtyCanvas(true, true);
+            saveSettings();
+        });
+        button.style.flex = "1";
+        if (option.id === current) {
+            const setActive = function () { button.style.background = "var(--p-primary-color, rgba(100,150,255,0.8))"; };
+            setActive();
+            button.style.color = "white";
+            // 在通用的悬停样式之后执行，保持选中色
+            button.addEventListener("mouseenter", setActive);
+            button.addEventListener("mouseleave", setActive);
+        }
+        row.appendChild(button);
+    }
+    return row;
+}
+
+// 数量、间隔、方向和朝向
+function createSpriteLayoutControls() {
+    const wrap = document.createElement("div");
+    if (animationMode === "static") {
+        wrap.appendChild(createLabeledSlider(0, 1, 0.01, gifPosition, function (v) {
+            return "Position: " + Math.round(v * 100) + "%";
+        }, function (v) { gifPosition = v; }));
+    }
+    // 间隔滑块一直存在，只有一个精灵时禁用；拖动 Count 时不重建侧边栏
+    const spacing = createLabeledSlider(0, 0.5, 0.01, gifSpacing, function (v) {
+        return "Spacing: " + (v > 0 ? Math.round(v * 100) + "%" : "均匀");
+    }, function (v) { gifSpacing = v; });
+    const updateSpacing = function () {
+        spacing.querySelector("input").disabled = gifCount <= 1;
+        spacing.style.opacity = gifCount > 1 ? "1" : "0.4";
+    };
+    wrap.appendChild(createLabeledSlider(1, 10, 1, gifCount, function (v) {
+        return "Count: " + v;
+    }, function (v) {
+        gifCount = Math.round(v);
+        updateSpacing();
+    }));
+    wrap.appendChild(spacing);
+    updateSpacing();
+    wrap.appendChild(createChoiceRow(GIF_DIRECTIONS, gifDirection, function (id) { gifDirection = id; }));
+    wrap.appendChild(createChoiceRow(GIF_ORIENTATIONS, gifOrientation, function (id) { gifOrientation = id; }));
+    return wrap;
+}
+
+// 图库列表 + 按类型 / 按连线指定
+function createSpriteLibrarySection() {
+    const section = document.createElement("div");
+    section.style.marginTop = "8px";
+    section.style.paddingTop = "8px";
+    section.style.borderTop = "1px solid var(--p-divider-color, rgba(255,255,255,0.08))";
+
+    const header = document.createElement("div");
+    header.style.display = "flex";
+    header.style.alignItems = "center";
+    header.style.justifyContent = "space-between";
+    const title = document.createElement("span");
+    title.textContent = "精灵图库";
+    title.style.fontSize = "10px";
+    title.style.fontWeight = "600";
+    title.style.color = "var(--p-text-color, #e0e0e0)";
+    header.appendChild(title);
+    if (gifUrl && !gifSpriteId) {
+        header.appendChild(createSmallButton("＋ 保存当前图片", "把当前图片保存到图库", function () {
+            const name = window.prompt("图库中的名称", "Sprite " + (spriteLibrary.size + 1));
+            if (!name || !name.trim()) return;
+            storeDefaultSprite(name.trim(), gifUrl, Object.assign({}, gifSheet));
+        }));
+    }
+    section.appendChild(header);
+
+    if (!spriteLibraryReady) {
+        section.appendChild(createSubsectionLabel("读取中..."));
+        return section;
+    }
+    if (spriteLibrary.size === 0) {
+        section.appendChild(createSubsectionLabel("图库为空，加载图片后点击“保存当前图片”"));
+        return section;
+    }
+
+    for (const item of spriteLibrary.values()) {
+        const row = document.createElement("div");
+        row.style.display = "flex";
+        row.style.alignItems = "center";
+        row.style.gap = "4px";
+        row.style.padding = "3px 0";
+
+        const name = document.createElement("span");
+        name.textContent = (item.id === gifSpriteId ? "● " : "") + item.name;
+        name.title = item.data.startsWith("data:") ? "[本地文件]" : item.data;
+        name.style.flex = "1";
+        name.style.fontSize = "10px";
+        name.style.color = "var(--p-text-color, #e0e0e0)";
+        name.style.overflow = "hidden";
+        name.style.textOverflow = "ellipsis";
+        name.style.whiteSpace = "nowrap";
+        row.appendChild(name);
+
+        row.appendChild(createSmallButton("使用", "设为默认图片", function () {
+            gifSpriteId = item.id;
+            gifUrl = item.data;
+            ensureSprite(gifUrl);
+            afterSpriteAssignmentChanged();
+            saveSettings();
+        }));
+        row.appendChild(createSmallButton("✎", "重命名", function () {
+            const newName = window.prompt("新名称", item.name);
+            if (!newName || !newName.trim()) return;
+            renameLibrarySprite(item.id, newName.trim()).catch(function (err) { warn("重命名失败", err); });
+        }));
+        row.appendChild(createSmallButton("✕", "从图库删除", function () {
+            if (!window.confirm("从图库删除 “" + item.name + "”？")) return;
+            deleteLibrarySprite(item.id).catch(function (err) { warn("删除失败", err); });
+        }));
+        section.appendChild(row);
+    }
+
+    const choices = [["", "默认图片"], [SPRITE_NONE, "不显示"]];
+    for (const item of spriteLibrary.values()) choices.push([item.id, item.name]);
+
+    section.appendChild(createSubsectionLabel("按连线类型"));
+    appendLinkTypeRows(section, linkTypeSprites, choices, setLinkTypeSprite);
+
+    pruneLinkSprites();
+    const assigned = getGraphSpriteAssignments(false);
+    const assignedCount = assigned ? Object.keys(assigned).length : 0;
+    section.appendChild(createSubsectionLabel("选中节点的连线" + (assignedCount ? "（已单独指定 " + assignedCount + " 条）" : "")));
+
+    const linkRow = document.createElement("div");
+    linkRow.style.display = "flex";
+    linkRow.style.gap = "4px";
+    const select = document.createElement("select");
+    select.style.flex = "1";
+    select.style.minWidth = "0";
+    select.style.padding = "2px 4px";
+    select.style.borderRadius = "4px";
+    select.style.border = "1px solid var(--p-divider-color, rgba(255,255,255,0.1))";
+    select.style.background = "var(--p-surface-ground, rgba(0,0,0,0.3))";
+    select.style.color = "var(--p-text-color, #e0e0e0)";
+    select.style.fontSize = "10px";
+    select.style.fontFamily = "inherit";
+    for (let c = 1; c < choices.length; c++) {
+        const option = document.createElement("option");
+        option.value = choices[c][0];
+        option.textContent = choices[c][1];
+        select.appendChild(option);
+    }
+    linkRow.appendChild(select);
+    linkRow.appendChild(createSmallButton("指定", "给选中节点相连的连线指定图片", function () {
+        const linkIds = getSelectedNodeLinkIds();
+        if (linkIds.length === 0) {
+            warn("请先选中节点");
+            return;
+        }
+        setLinkSprites(linkIds, select.value);
+    }));
+    linkRow.appendChild(createSmallButton("还原", "选中节点相连的连线恢复按类型/默认显示", function () {
+        setLinkSprites(getSelectedNodeLinkIds(), null);
+    }));
+    section.appendChild(linkRow);
+    return section;
+}
+
+function formatRopeValue(key, value) {
+    const step = ROPE_CONFIG_RANGES[key].step;
+    if (key === "slack") return "+" + Math.round(value * 100) + "%";
+    if (key === "segmentLength") return value + "px";
+    return step >= 1 ? String(value) : value.toFixed(Math.max(0, -Math.floor(Math.log10(step))));
+}
+
+function createRopeForceToggle(label, key) {
+    const toggle = createOptionToggle(label, ropeForces[key], function () {
+        ropeForces[key] = !ropeForces[key];
+        if (sidebarContainer) buildSidebarContent(sidebarContainer);
+        saveSettings();
+    });
+    toggle.style.padding = "6px 0 0";
+    return toggle;
+}
+
+function createRopeForceSlider(key, format) {
+    const range = ROPE_FORCE_RANGES[key];
+    return createLabeledSlider(range.min, range.max, range.step, ropeForces[key], function (v) {
+        return range.label + ": " + format(v);
+    }, function (v) { setRopeForceValue(key, v); });
+}
+
+function createRopeForceControls() {
+    const wrap = document.createElement("div");
+    wrap.appendChild(createRopeForceToggle("Wind", "wind"));
+    if (ropeForces.wind) {
+        wrap.appendChild(createRopeForceSlider("windDirection", function (v) { return Math.round(v) + "\u00B0"; }));
+        wrap.appendChild(createRopeForceSlider("windStrength", function (v) { return v.toFixed(2); }));
+        wrap.appendChild(createRopeForceSlider("windGusts", function (v) { return Math.round(v * 100) + "%"; }));
+    }
+    wrap.appendChild(createChoiceRow(POINTER_FIELDS, ropeForces.pointerField, function (id) {
+        ropeForces.pointerField = id;
+        if (id === "off") ropePointer = null;
+    }));
+    if (ropeForces.pointerField !== "off") {
+        wrap.appendChild(createRopeForceSlider("pointerStrength", function (v) { return v.toFixed(2); }));
+    }
+    wrap.appendChild(createRopeForceToggle("Idle sway", "idleSway"));
+    return wrap;
+}
+
+// Presets plus one live slider per rope parameter
+function createRopeControls() {
+    const wrap = document.createElement("div");
+    wrap.style.marginTop = "8px";
+    const active = getActiveRopePreset();
+    wrap.appendChild(createChoiceRow(ROPE_PRESETS, active, applyRopePreset));
+    const interactToggle = createOptionToggle("Alt-drag to grab, alt-click to pluck", ropeInteraction, function () {
+        ropeInteraction = !ropeInteraction;
+        releaseRopeGrab();
+        if (sidebarContainer) buildSidebarContent(sidebarContainer);
+        saveSettings();
+    });
+    interactToggle.style.padding = "6px 0 0";
+    wrap.appendChild(interactToggle);
+    wrap.appendChild(createRopeForceControls());
+    const collisionToggle = createOptionToggle("Drape over nodes", ropeCollision, function () {
+        ropeCollision = !ropeCollision;
+        obstacleGrid = null;
+        if (sidebarContainer) buildSidebarContent(sidebarContainer);
+        if (app && app.graph) app.graph.setDirtyCanvas(true, true);
+        saveSettings();
+    });
+    collisionToggle.style.padding = "6px 0 0";
+    wrap.appendChild(collisionToggle);
+    const tensionToggle = createOptionToggle("Tint taut ropes red", ropeTensionColor, function () {
+        ropeTensionColor = !ropeTensionColor;
+        if (sidebarContainer) buildSidebarContent(sidebarContainer);
+        if (app && app.graph) app.graph.setDirtyCanvas(true, true);
+        saveSettings();
+    });
+    tensionToggle.style.padding = "6px 0 0";
+    const snapToggle = createOptionToggle("Snap when stretched too far", ropeSnap, function () {
+        ropeSnap = !ropeSnap;
+        if (sidebarContainer) buildSidebarContent(sidebarContainer);
+        saveSettings();
+    });
+    snapToggle.style.padding = "6px 0 0";
+    if (ropeCollision) {
+        const groupToggle = createOptionToggle("Also drape over groups", ropeCollideGroups, function () {
+            ropeCollideGroups = !ropeCollideGroups;
+            obstacleGrid = null;
+            if (sidebarContainer) buildSidebarContent(sidebarContainer);
+            if (app && app.graph) app.graph.setDirtyCanvas(true, true);
+            saveSettings();
+        });
+        groupToggle.style.padding = "6px 0 0 12px";
+        wrap.appendChild(groupToggle);
+    }
+    wrap.appendChild(tensionToggle);
+    wrap.appendChild(snapToggle);
+    for (const key in ROPE_CONFIG_RANGES) {
+        const range = ROPE_CONFIG_RANGES[key];
+        wrap.appendChild(createLabeledSlider(range.min, range.max, range.step, ropeConfig[key], function (v) {
+            return range.label + ": " + formatRopeValue(key, v);
+        }, function (v) { setRopeConfigValue(key, v); }));
+    }
+    return wrap;
+}
+
+function createLinkTypeSection() {
+    const section = document.createElement("div");
+    section.style.marginTop = "12px";
+    section.style.padding = "8px";
+    section.style.background = "var(--p-surface-ground, rgba(0,0,0,0.2))";
+    section.style.borderRadius = "8px";
+
+    const header = document.createElement("div");
+    header.style.display = "flex";
+    header.style.alignItems = "center";
+    header.style.justifyContent = "space-between";
+    header.style.marginBottom = "6px";
+
+    const label = document.createElement("div");
+    label.textContent = "Effect by Link Type";
+    label.style.fontSize = "10px";
+    label.style.fontWeight = "600";
+    label.style.color = "var(--p-text-muted-color, #888)";
+    label.style.textTransform = "uppercase";
+    label.style.letterSpacing = "0.5px";
+    header.appendChild(label);
+
+    const refreshButton = document.createElement("button");
+    refreshButton.textContent = "\u21BB";
+    refreshButton.title = "Rescan link types in the current graph";
+    refreshButton.style.padding = "2px 6px";
+    refreshButton.style.borderRadius = "4px";
+    refreshButton.style.border = "none";
+    refreshButton.style.background = "transparent";
+    refreshButton.style.color = "var(--p-text-muted-color, #888)";
+    refreshButton.style.fontSize = "12px";
+    refreshButton.style.cursor = "pointer";
+    refreshButton.style.fontFamily = "inherit";
+    refreshButton.addEventListener("click", function () {
+        if (sidebarContainer) buildSidebarContent(sidebarContainer);
+    });
+    header.appendChild(refreshButton);
+    section.appendChild(header);
+
+    const choices = [["", "Default"], [LINK_TYPE_NO_EFFECT, "No effect"]];
+    for (const effect of effectRegistry.values()) {
+        choices.push([effect.id, effect.icon + " " + effect.name]);
+    }
+    appendLinkTypeRows(section, linkTypeEffects, choices, setLinkTypeEffect);
+    return section;
+}
+
+// One row per link type in the graph or in the mapping; choices are [value, label] pairs and "" means default.
+function appendLinkTypeRows(section, mapping, choices, onChange) {
+    const graphTypes = getGraphLinkTypes();
+    const types = new Set(graphTypes);
+    for (const type in mapping) types.add(type);
+
+    if (types.size === 0) {
+        const empty = document.createElement("div");
+        empty.textContent = "No links in the current graph";
+        empty.style.fontSize = "9px";
+        empty.style.color = "var(--p-text-muted-color, #888)";
+        empty.style.padding = "4px 0";
+        section.appendChild(empty);
+        return;
+    }
+
+    const sorted = Array.from(types).sort();
+    for (let i = 0; i < sorted.length; i++) {
+        section.appendChild(createLinkTypeRow(sorted[i], graphTypes.has(sorted[i]), choices, mapping[sorted[i]] || "", onChange));
+    }
+}
+
+function createLinkTypeRow(type, inGraph, choices, current, onChange) {
+    const row = document.createElement("div");
+    row.style.display = "flex";
+    row.style.alignItems = "center";
+    row.style.gap = "6px";
+    row.style.padding = "3px 0";
+    row.style.opacity = inGraph ? "1" : "0.5";
+    if (!inGraph) row.title = "Not used in the current graph";
+
+    const swatch = document.createElement("span");
+    swatch.style.width = "8px";
+    swatch.style.height = "8px";
+    swatch.style.borderRadius = "50%";
+    swatch.style.flexShrink = "0";
+    swatch.style.background = getLinkTypeColor(type);
+    row.appendChild(swatch);
+
+    const name = document.createElement("span");
+    name.textContent = type;
+    name.style.flex = "1";
+    name.style.fontSize = "10px";
+    name.style.color = "var(--p-text-color, #e0e0e0)";
+    name.style.overflow = "hidden";
+    name.style.textOverflow = "ellipsis";
+    name.style.whiteSpace = "nowrap";
+    row.appendChild(name);
+
+    const select = document.createElement("select");
+    select.style.maxWidth = "110px";
+    select.style.padding = "2px 4px";
+    select.style.borderRadius = "4px";
+    select.style.border = "1px solid var(--p-divider-color, rgba(255,255,255,0.1))";
+    select.style.background = "var(--p-surface-ground, rgba(0,0,0,0.3))";
+    select.style.color = "var(--p-text-color, #e0e0e0)";
+    select.style.fontSize = "10px";
+    select.style.fontFamily = "inherit";
+
+    for (let c = 0; c < choices.length; c++) {
+        const option = document.createElement("option");
+        option.value = choices[c][0];
+        option.textContent = choices[c][1];
+        if (choices[c][0] === current) option.selected = true;
+        select.appendChild(option);
+    }
+    select.addEventListener("change", function () {
+        onChange(type, this.value || null);
+    });
+    row.appendChild(select);
+    return row;
+}
+
+function getLinkTypeColor(type) {
+    const canvas = app && app.canvas;
+    const byType = canvas && canvas.default_connection_color_byType;
+    if (byType && byType[type]) return byType[type];
+    const LGraphCanvas = canvas && canvas.constructor;
+    if (LGraphCanvas && LGraphCanvas.link_type_colors && LGraphCanvas.link_type_colors[type]) {
+        return LGraphCanvas.link_type_colors[type];
+    }
+    return "rgba(150, 150, 150, 0.8)";
+}
+
+function createModeButton(mode) {
+    const isSelected = animationMode === mode.id;
+    const btn = document.createElement("button");
+    btn.innerHTML = "<span style=\"font-size:12px;margin-right:6px;\">" + mode.icon + "</span><span style=\"font-size:10px;\">" + mode.label + "</span>";
+    btn.style.display = "flex";
+    btn.style.alignItems = "center";
+    btn.style.padding = "6px 8px";
+    btn.style.borderRadius = "4px";
+    btn.style.border = "none";
+    btn.style.background = isSelected ? "rgba(100,150,255,0.2)" : "transparent";
+    btn.style.borderLeft = isSelected ? "2px solid rgba(100,150,255,0.8)" : "2px solid transparent";
+    btn.style.color = isSelected ? "var(--p-text-color, #fff)" : "var(--p-text-muted-color, #aaa)";
+    btn.style.cursor = "pointer";
+    btn.style.fontSize = "10px";
+    btn.style.fontFamily = "inherit";
+    btn.style.textAlign = "left";
+    btn.style.transition = "all 100ms ease";
+    btn.style.width = "100%";
+    btn.dataset.modeId = mode.id;
+    btn.addEventListener("mouseenter", function () { if (animationMode !== this.dataset.modeId) this.style.background = "rgba(255,255,255,0.05)"; });
+    btn.addEventListener("mouseleave", function () { if (animationMode !== this.dataset.modeId) this.style.background = "transparent"; });
+    btn.addEventListener("click", function () {
+        animationMode = this.dataset.modeId;
+        if (sidebarContainer) buildSidebarContent(sidebarContainer);
+        if (animationMode === "static" && !gifEnabled) stopAnimationLoop();
+        else if (hasActiveEffect() || gifEnabled) startAnimationLoop();
+        refreshHooks();
+        if (app && app.graph) app.graph.setDirtyCanvas(true, true);
+        saveSettings();
+        log("animation mode: " + animationMode);
+    });
+    return btn;
+}
+
+function createEffectButton(effect) {
+    const item = document.createElement("button");
+    // Icon and name may come from other extensions, so never parse them as HTML
+    const icon = document.createElement("span");
+    icon.style.fontSize = "16px";
+    icon.style.marginRight = "10px";
+    icon.textContent = effect.icon;
+    const name = document.createElement("span");
+    name.style.fontWeight = "500";
+    name.style.fontSize = "12px";
+    name.textContent = effect.name;
+    item.appendChild(icon);
+    item.appendChild(name);
+    const isSelected = currentEffect === effect.id;
+    item.style.display = "flex";
+    item.style.alignItems = "center";
+    item.style.padding = "8px 10px";
+    item.style.borderRadius = "6px";
+    item.style.border = "none";
+    item.style.background = isSelected ? "var(--p-primary-color, rgba(100,150,255,0.15))" : "transparent";
+    item.style.borderLeft = isSelected ? "2px solid var(--p-primary-color, rgba(100,150,255,0.8))" : "2px solid transparent";
+    item.style.color = "var(--p-text-color, #c8c8c8)";
+    item.style.cursor = "pointer";
+    item.style.fontSize = "11px";
+    item.style.fontFamily = "inherit";
+    item.style.textAlign = "left";
+    item.style.transition = "all 100ms ease";
+    item.style.width = "100%";
+    item.dataset.effectId = effect.id;
+    item.addEventListener("mouseenter", function () { if (currentEffect !== this.dataset.effectId) this.style.background = "var(--p-surface-hover, rgba(255,255,255,0.06))"; });
+    item.addEventListener("mouseleave", function () { if (currentEffect !== this.dataset.effectId) this.style.background = "transparent"; });
+    item.addEventListener("click", function () { selectEffect(this.dataset.effectId); });
+    return item;
+}
+
+function selectEffect(id) {
+    currentEffect = id;
+    if (sidebarContainer) buildSidebarContent(sidebarContainer);
+    refreshHooks();
+    refreshAnimationLoop();
+    if (app && app.graph) app.graph.setDirtyCanvas(true, true);
+    saveSettings();
+    log(id !== null ? "effect: " + id : "effects disabled");
+}
+
+function setLinkTypeEffect(type, effectId) {
+    if (effectId) linkTypeEffects[type] = effectId;
+    else delete linkTypeEffects[type];
+    refreshHooks();
+    refreshAnimationLoop();
+    if (app && app.graph) app.graph.setDirtyCanvas(true, true);
+    saveSettings();
+    log("link type " + type + ": " + (effectId || "default"));
+}
+
+// Stored ids may name effects another extension hasn't registered yet; those stay inactive until it does.
+function getActiveEffects() {
+    const active = [];
+    const current = getEffect(currentEffect);
+    if (current) active.push(current);
+    for (const type in linkTypeEffects) {
+        const mapped = getEffect(linkTypeEffects[type]);
+        if (mapped && active.indexOf(mapped) === -1) active.push(mapped);
+    }
+    return active;
+}
+
+function hasActiveEffect() {
+    return getActiveEffects().length > 0;
+}
+
+function hasAnimatedEffect() {
+    return getActiveEffects().some(function (effect) { return effect.animated; });
+}
+
+function getEffectForLink(link) {
+    const type = link && link.type != null ? String(link.type) : null;
+    if (type !== null && Object.prototype.hasOwnProperty.call(linkTypeEffects, type)) {
+        const mapped = linkTypeEffects[type];
+        if (mapped === LINK_TYPE_NO_EFFECT) return null;
+        const effect = getEffect(mapped);
+        if (effect) return effect;
+    }
+    return getEffect(currentEffect);
+}
+
+function getGraphLinkTypes() {
+    const types = new Set();
+    for (const link of getGraphLinks()) {
+        if (link.type != null && link.type !== "") types.add(String(link.type));
+    }
+    return types;
+}
+
+function getSelectedNodeIds() {
+    const selected = app && app.canvas && app.canvas.selected_nodes;
+    if (!selected) return new Set();
+    return new Set(Object.keys(selected).map(function (id) { return parseInt(id); }));
+}
+
+function shouldAnimateLink(link) {
+    if (animationMode === "full") return true;
+    if (animationMode === "static") return true;
+    if (animationMode === "selected") {
+        if (!link) return true;
+        const selectedIds = getSelectedNodeIds();
+        if (selectedIds.size === 0) return false;
+        return selectedIds.has(link.origin_id) || selectedIds.has(link.target_id);
+    }
+    if (animationMode === "execution") {
+        if (!link || executingNodeId === null) return false;
+        return String(link.target_id) === executingNodeId;
+    }
+    return false;
+}
+
+function effectsNeedAnimation() {
+    if (!hasAnimatedEffect() || animationMode === "static") return false;
+    if (animationMode === "execution") return executingNodeId !== null;
+    return true;
+}
+
+function isLinkDimmed(link) {
+    if (animationMode !== "execution" || !dimCompletedLinks || !link) return false;
+    return completedNodeIds.has(String(link.target_id));
+}
+
+function withLinkDimming(ctx, link, draw) {
+    if (!ctx || !isLinkDimmed(link)) return draw();
+    ctx.save();
+    ctx.globalAlpha *= DIMMED_LINK_ALPHA;
+    try {
+        return draw();
+    } finally {
+        ctx.restore();
+    }
+}
+
+function getEventNodeId(detail) {
+    if (detail && typeof detail === "object") detail = detail.display_node != null ? detail.display_node : detail.node;
+    return detail == null ? null : String(detail);
+}
+
+function onExecutionChanged() {
+    if (animationMode !== "execution") return;
+    if (app && app.graph) app.graph.setDirtyCanvas(true, true);
+}
+
+function registerExecutionListeners() {
+    if (!api || typeof api.addEventListener !== "function") return;
+    api.addEventListener("execution_start", function () {
+        executingNodeId = null;
+        completedNodeIds.clear();
+        onExecutionChanged();
+    });
+    api.addEventListener("executing", function (e) {
+        const nodeId = getEventNodeId(e.detail);
+        if (executingNodeId !== null) completedNodeIds.add(executingNodeId);
+        executingNodeId = nodeId;
+        // A null node means the whole prompt finished.
+        if (nodeId === null) completedNodeIds.clear();
+        onExecutionChanged();
+    });
+    api.addEventListener("executed", function (e) {
+        const nodeId = getEventNodeId(e.detail);
+        if (nodeId !== null) completedNodeIds.add(nodeId);
+        onExecutionChanged();
+    });
+    api.addEventListener("execution_cached", function (e) {
+        const nodes = e.detail && e.detail.nodes;
+        if (Array.isArray(nodes)) {
+            for (const nodeId of nodes) completedNodeIds.add(String(nodeId));
+        }
+        onExecutionChanged();
+    });
+    const onExecutionStopped = function () {
+        executingNodeId = null;
+        completedNodeIds.clear();
+        onExecutionChanged();
+    };
+    api.addEventListener("execution_error", onExecutionStopped);
+    api.addEventListener("execution_interrupted", onExecutionStopped);
+    log("execution listeners registered");
+}
+
+function getTimeForEffect() {
+    if (animationMode === "static") return staticTime;
+    return performance.now();
+}
+
+// Each effect keeps a clock that advances by dt * Speed, so moving the Speed slider changes
+// the rate from here on instead of rescaling the whole page uptime and jumping the phase.
+function getEffectTime(effectId, now, speed) {
+    let clock = effectClocks.get(effectId);
+    if (!clock) {
+        clock = { time: now, now: now };
+        effectClocks.set(effectId, clock);
+    } else {
+        const dt = now - clock.now;
+        if (dt > 0 && dt < 1000) clock.time += dt * speed;
+        clock.now = now;
+    }
+    return clock.time;
+}
+
+// Each link keeps its own clock that runs REFERENCE/length times as fast as real time, so
+// phases normalized 0..1 along the wire move at the same pixel speed on every link. The clock
+// is accumulated, not derived from the length, so dragging a node doesn't make things jump.
+// Effects pass their Speed and their own clock as the starting time.
+function getFlowTime(linkId, path, now, speed, base) {
+    if (base === undefined) base = now;
+    if (!constantSpeed || linkId == null) return base;
+    const scale = SPEED_REFERENCE_LENGTH / Math.max(getPathLength(path), 1) * (speed || 1);
+    const wall = performance.now();
+    let clock = linkFlowClocks.get(linkId);
+    if (!clock) {
+        clock = { time: base, now: now, seen: wall };
+        linkFlowClocks.set(linkId, clock);
+    } else {
+        const dt = now - clock.now;
+        // Skip jumps (static mode toggles, background tabs) instead of fast-forwarding through them
+        if (dt > 0 && dt < 1000) clock.time += dt * scale;
+        clock.now = now;
+        clock.seen = wall;
+    }
+    if (wall - lastFlowCleanup > 3000) {
+        for (const [id, entry] of linkFlowClocks) {
+            if (wall - entry.seen > 3000) linkFlowClocks.delete(id);
+        }
+        lastFlowCleanup = wall;
+    }
+    return clock.time;
+}
+
+// ========== Settings store ==========
+
+function clampNumber(value, min, max, fallback) {
+    const num = Number(value);
+    if (!Number.isFinite(num)) return fallback;
+    return Math.min(max, Math.max(min, num));
+}
+
+function serializeSettings() {
+    return {
+        version: SETTINGS_VERSION,
+        effect: currentEffect,
+        animationMode: animationMode,
+        dimCompletedLinks: dimCompletedLinks,
+        gravityEnabled: gravityEnabled,
+        linkTypeEffects: Object.assign({}, linkTypeEffects),
+        effectParams: JSON.parse(JSON.stringify(effectParams)),
+        tintByLinkColor: tintByLinkColor,
+        gifEnabled: gifEnabled,
+        gifUrl: (gifSpriteId || gifUrl.startsWith("data:")) ? "" : gifUrl,
+        gifSpriteId: gifSpriteId,
+        gifSize: gifSize,
+        gifSpeed: gifSpeed,
+        gifPosition: gifPosition,
+        gifCount: gifCount,
+        gifSpacing: gifSpacing,
+        gifDirection: gifDirection,
+        gifOrientation: gifOrientation,
+        spriteSheet: Object.assign({}, gifSheet),
+        linkTypeSprites: Object.assign({}, linkTypeSprites),
+        targetFps: targetFps,
+        adaptiveQuality: adaptiveQuality,
+        overlayRendering: overlayRendering,
+        constantSpeed: constantSpeed,
+        lodSimpleZoom: lodSimpleZoom,
+        lodDetailZoom: lodDetailZoom,
+        rope: Object.assign({}, ropeConfig),
+        ropeInteraction: ropeInteraction,
+        ropeCollision: ropeCollision,
+        ropeCollideGroups: ropeCollideGroups,
+        ropeTensionColor: ropeTensionColor,
+        ropeSnap: ropeSnap,
+        ropeForces: Object.assign({}, ropeForces)
+    };
+}
+
+function migrateSettings(data) {
+    let version = Number.isInteger(data.version) ? data.version : 1;
+    while (version < SETTINGS_VERSION) {
+        const migrate = SETTINGS_MIGRATIONS[version];
+        if (migrate) data = migrate(data);
+        version++;
+    }
+    if (version > SETTINGS_VERSION) {
+        warn("stored settings are from a newer version (" + version + "), loading known fields only");
+    }
+    data.version = SETTINGS_VERSION;
+    return data;
+}
+
+function applySettings(data) {
+    if (data.effect === null || typeof data.effect === "string") currentEffect = data.effect;
+    if (ANIMATION_MODES.some(function (m) { return m.id === data.animationMode; })) animationMode = data.animationMode;
+    if (data.linkTypeEffects && typeof data.linkTypeEffects === "object") {
+        for (const type in linkTypeEffects) delete linkTypeEffects[type];
+        for (const type in data.linkTypeEffects) {
+            if (typeof data.linkTypeEffects[type] === "string") linkTypeEffects[type] = data.linkTypeEffects[type];
+        }
+    }
+    if (data.effectParams && typeof data.effectParams === "object") {
+        for (const id in effectParams) delete effectParams[id];
+        for (const id in data.effectParams) {
+            const values = data.effectParams[id];
+            if (!values || typeof values !== "object") continue;
+            effectParams[id] = {};
+            for (const paramId in values) {
+                if (Number.isFinite(values[paramId])) effectParams[id][paramId] = values[paramId];
+            }
+        }
+        resolvedParamsCache.clear();
+    }
+    if (typeof data.dimCompletedLinks === "boolean") dimCompletedLinks = data.dimCompletedLinks;
+    if (typeof data.tintByLinkColor === "boolean") tintByLinkColor = data.tintByLinkColor;
+    if (typeof data.gravityEnabled === "boolean") gravityEnabled = data.gravityEnabled;
+    if (typeof data.gifEnabled === "boolean") gifEnabled = data.gifEnabled;
+    if (typeof data.gifUrl === "string") gifUrl = data.gifUrl;
+    if (typeof data.gifSpriteId === "string") gifSpriteId = data.gifSpriteId;
+    if (typeof data.legacyGifData === "string" && !gifSpriteId) {
+        gifUrl = data.legacyGifData;
+        pendingSpriteImport = data.legacyGifData;
+    }
+    if (gifSpriteId && spriteLibraryReady) resolveDefaultSprite();
+    gifSize = Math.round(clampNumber(data.gifSize, 16, 128, gifSize));
+    gifSpeed = clampNumber(data.gifSpeed, 0.1, 2.0, gifSpeed);
+    gifPosition = clampNumber(data.gifPosition, 0, 1, gifPosition);
+    gifCount = Math.round(clampNumber(data.gifCount, 1, 10, gifCount));
+    gifSpacing = clampNumber(data.gifSpacing, 0, 0.5, gifSpacing);
+    if (GIF_DIRECTIONS.some(function (d) { return d.id === data.gifDirection; })) gifDirection = data.gifDirection;
+    if (GIF_ORIENTATIONS.some(function (o) { return o.id === data.gifOrientation; })) gifOrientation = data.gifOrientation;
+    if (data.spriteSheet && typeof data.spriteSheet === "object") Object.assign(gifSheet, normalizeSpriteSheet(data.spriteSheet));
+    if (data.linkTypeSprites && typeof data.linkTypeSprites === "object") {
+        for (const type in linkTypeSprites) delete linkTypeSprites[type];
+        for (const type in data.linkTypeSprites) {
+            if (typeof data.linkTypeSprites[type] === "string") linkTypeSprites[type] = data.linkTypeSprites[type];
+        }
+    }
+    targetFps = Math.round(clampNumber(data.targetFps, 10, 120, targetFps));
+    if (typeof data.adaptiveQuality === "boolean") adaptiveQuality = data.adaptiveQuality;
+    if (typeof data.overlayRendering === "boolean") overlayRendering = data.overlayRendering;
+    if (typeof data.constantSpeed === "boolean") constantSpeed = data.constantSpeed;
+    lodSimpleZoom = clampNumber(data.lodSimpleZoom, 0, 1, lodSimpleZoom);
+    lodDetailZoom = clampNumber(data.lodDetailZoom, 1, 4, lodDetailZoom);
+    if (typeof data.ropeInteraction === "boolean") ropeInteraction = data.ropeInteraction;
+    if (typeof data.ropeCollision === "boolean") ropeCollision = data.ropeCollision;
+    if (typeof data.ropeCollideGroups === "boolean") ropeCollideGroups = data.ropeCollideGroups;
+    if (typeof data.ropeTensionColor === "boolean") ropeTensionColor = data.ropeTensionColor;
+    if (typeof data.ropeSnap === "boolean") ropeSnap = data.ropeSnap;
+    if (data.ropeForces && typeof data.ropeForces === "object") {
+        if (typeof data.ropeForces.wind === "boolean") ropeForces.wind = data.ropeForces.wind;
+        if (typeof data.ropeForces.idleSway === "boolean") ropeForces.idleSway = data.ropeForces.idleSway;
+        if (POINTER_FIELDS.some(function (f) { return f.id === data.ropeForces.pointerField; })) ropeForces.pointerField = data.ropeForces.pointerField;
+        for (const key in ROPE_FORCE_RANGES) setRopeForceValue(key, data.ropeForces[key]);
+    }
+    if (data.rope && typeof data.rope === "object") {
+        for (const key in ROPE_CONFIG_RANGES) {
+            setRopeConfigValue(key, data.rope[key]);
+        }
+    }
+}
+
+function setRopeConfigValue(key, value) {
+    const range = ROPE_CONFIG_RANGES[key];
+    let next = clampNumber(value, range.min, range.max, ropeConfig[key]);
+    if (range.step >= 1) next = Math.round(next);
+    if (next === ropeConfig[key]) return;
+    ropeConfig[key] = next;
+    // Existing ropes keep their point count, so rebuild them on the next frame.
+    if (key === "segments" || key === "segmentLength") ropePhysics.clear();
+}
+
+function applyRopePreset(id) {
+    const preset = ROPE_PRESETS.find(function (p) { return p.id === id; });
+    if (!preset) return;
+    for (const key in preset.values) setRopeConfigValue(key, preset.values[key]);
+    log("rope preset: " + id);
+}
+
+function getActiveRopePreset() {
+    const preset = ROPE_PRESETS.find(function (p) {
+        return Object.keys(p.values).every(function (key) { return ropeConfig[key] === p.values[key]; });
+    });
+    return preset ? preset.id : null;
+}
+
+function loadSettings() {
+    let raw = null;
+    try {
+        raw = localStorage.getItem(SETTINGS_STORAGE_KEY);
+    } catch (err) {
+        warn("settings storage unavailable", err);
+        return false;
+    }
+    if (!raw) return false;
+    try {
+        const data = JSON.parse(raw);
+        if (!data || typeof data !== "object") return false;
+        applySettings(migrateSettings(data));
+        log("settings loaded", data);
+        return true;
+    } catch (err) {
+        warn("failed to load settings, using defaults", err);
+        return false;
+    }
+}
+
+function flushSettings() {
+    if (settingsSaveTimer) {
+        clearTimeout(settingsSaveTimer);
+        settingsSaveTimer = null;
+    }
+    try {
+        localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(serializeSettings()));
+    } catch (err) {
+        warn("failed to save settings", err);
+    }
+    pushComfySettings();
+}
+
+// Sliders fire on every input event, so writes are batched.
+function saveSettings() {
+    if (!settingsLoaded) return;
+    if (settingsSaveTimer) clearTimeout(settingsSaveTimer);
+    settingsSaveTimer = setTimeout(flushSettings, SETTINGS_SAVE_DELAY);
+}
+
+// ========== ComfyUI settings dialog ==========
+
+// Each binding mirrors one piece of LinkFX state into ComfyUI's Settings dialog.
+const SETTING_BINDINGS = [
+    {
+        id: "LinkFX.Effect",
+        name: "Link effect",
+        category: ["LinkFX", "Effects", "Effect"],
+        type: "combo",
+        defaultValue: "None",
+        options: function () {
+            return [{ text: "None", value: "None" }].concat(listEffects().map(function (e) { return { text: e.name, value: e.id }; }));
+        },
+        get: function () { return currentEffect !== null ? currentEffect : "None"; },
+        set: function (value) { currentEffect = value === "None" ? null : resolveEffectId(value); }
+    },
+    {
+        id: "LinkFX.AnimationMode",
+        name: "Animation mode",
+        category: ["LinkFX", "Effects", "Animation mode"],
+        type: "combo",
+        defaultValue: "full",
+        options: function () { return ANIMATION_MODES.map(function (m) { return { text: m.label, value: m.id }; }); },
+        get: function () { return animationMode; },
+        set: function (value) {
+            if (ANIMATION_MODES.some(function (m) { return m.id === value; })) animationMode = value;
+        }
+    },
+    {
+        id: "LinkFX.Execution.DimCompleted",
+        name: "Dim links of completed nodes (Running Node mode)",
+        category: ["LinkFX", "Effects", "Dim completed links"],
+        type: "boolean",
+        defaultValue: true,
+        get: function () { return dimCompletedLinks; },
+        set: function (value) { dimCompletedLinks = !!value; }
+    },
+    {
+        id: "LinkFX.TintByLinkColor",
+        name: "Tint effects by link color",
+        category: ["LinkFX", "Effects", "Tint by link color"],
+        type: "boolean",
+        defaultValue: false,
+        get: function () { return tintByLinkColor; },
+        set: function (value) { tintByLinkColor = !!value; }
+    },
+    {
+        id: "LinkFX.TargetFPS",
+        name: "Target FPS",
+        category: ["LinkFX", "Effects", "Target FPS"],
+        type: "slider",
+        attrs: { min: 10, max: 120, step: 1 },
+        defaultValue: DEFAULT_TARGET_FPS,
+        get: function () { return targetFps; },
+        set: function (value) { targetFps = Math.round(clampNumber(value, 10, 120, targetFps)); }
+    },
+    {
+        id: "LinkFX.AdaptiveQuality",
+        name: "Lower effect quality automatically on large workflows",
+        category: ["LinkFX", "Effects", "Adaptive quality"],
+        type: "boolean",
+        defaultValue: true,
+        get: function () { return adaptiveQuality; },
+        set: function (value) {
+            adaptiveQuality = !!value;
+            resetQualityGovernor();
+        }
+    },
+    {
+        id: "LinkFX.OverlayCanvas",
+        name: "Animate effects on an overlay canvas instead of redrawing the graph",
+        category: ["LinkFX", "Effects", "Overlay canvas"],
+        type: "boolean",
+        defaultValue: false,
+        get: function () { return overlayRendering; },
+        set: function (value) { overlayRendering = !!value; }
+    },
+    {
+        id: "LinkFX.ConstantSpeed",
+        name: "Move particles and sprites at the same speed on every wire, regardless of length",
+        category: ["LinkFX", "Effects", "Constant speed"],
+        type: "boolean",
+        defaultValue: false,
+        get: function () { return constantSpeed; },
+        set: function (value) { constantSpeed = !!value; }
+    },
+    {
+        id: "LinkFX.LOD.SimpleZoom",
+        name: "Draw effects as a plain stroke below this zoom (0 = never)",
+        category: ["LinkFX", "Level of detail", "Simple below zoom"],
+        type: "slider",
+        attrs: { min: 0, max: 1, step: 0.05 },
+        defaultValue: DEFAULT_LOD_SIMPLE_ZOOM,
+        get: function () { return lodSimpleZoom; },
+        set: function (value) { lodSimpleZoom = clampNumber(value, 0, 1, lodSimpleZoom); }
+    },
+    {
+        id: "LinkFX.LOD.DetailZoom",
+        name: "Draw extra effect detail above this zoom",
+        category: ["LinkFX", "Level of detail", "Detailed above zoom"],
+        type: "slider",
+        attrs: { min: 1, max: 4, step: 0.1 },
+        defaultValue: DEFAULT_LOD_DETAIL_ZOOM,
+        get: function () { return lodDetailZoom; },
+        set: function (value) { lodDetailZoom = clampNumber(value, 1, 4, lodDetailZoom); }
+    },
+    {
+        id: "LinkFX.Gravity.Enabled",
+        name: "Gravity physics (rope simulation)",
+        category: ["LinkFX", "Gravity", "Enabled"],
+        type: "boolean",
+        defaultValue: false,
+        get: function () { return gravityEnabled; },
+        set: function (value) { gravityEnabled = !!value; }
+    },
+    {
+        id: "LinkFX.Gravity.Interaction",
+        name: "Alt-drag to grab ropes, alt-click to pluck them",
+        category: ["LinkFX", "Gravity", "Interaction"],
+        type: "boolean",
+        defaultValue: true,
+        get: function () { return ropeInteraction; },
+        set: function (value) { ropeInteraction = !!value; }
+    },
+    {
+        id: "LinkFX.Gravity.Collision",
+        name: "Ropes drape over nodes instead of falling through them",
+        category: ["LinkFX", "Gravity", "Collision"],
+        type: "boolean",
+        defaultValue: false,
+        get: function () { return ropeCollision; },
+        set: function (value) { ropeCollision = !!value; }
+    },
+    {
+        id: "LinkFX.Gravity.CollideGroups",
+        name: "Ropes also drape over groups",
+        category: ["LinkFX", "Gravity", "Collide with groups"],
+        type: "boolean",
+        defaultValue: false,
+        get: function () { return ropeCollideGroups; },
+        set: function (value) { ropeCollideGroups = !!value; }
+    },
+    {
+        id: "LinkFX.Gravity.TensionColor",
+        name: "Tint ropes red when they are stretched",
+        category: ["LinkFX", "Gravity", "Tension color"],
+        type: "boolean",
+        defaultValue: true,
+        get: function () { return ropeTensionColor; },
+        set: function (value) { ropeTensionColor = !!value; }
+    },
+    {
+        id: "LinkFX.Gravity.Snap",
+        name: "Show a snap animation when a rope is stretched too far (the link stays connected)",
+        category: ["LinkFX", "Gravity", "Snap"],
+        type: "boolean",
+        defaultValue: false,
+        get: function () { return ropeSnap; },
+        set: function (value) { ropeSnap = !!value; }
+    },
+    {
+        id: "LinkFX.Gravity.Wind",
+        name: "Gusting wind on ropes",
+        category: ["LinkFX", "Gravity", "Wind"],
+        type: "boolean",
+        defaultValue: false,
+        get: function () { return ropeForces.wind; },
+        set: function (value) { ropeForces.wind = !!value; }
+    },
+    {
+        id: "LinkFX.Gravity.PointerField",
+        name: "Pointer pushes or pulls nearby ropes",
+        category: ["LinkFX", "Gravity", "Pointer field"],
+        type: "combo",
+        defaultValue: "off",
+        options: function () { return POINTER_FIELDS.map(function (f) { return { text: f.label, value: f.id }; }); },
+        get: function () { return ropeForces.pointerField; },
+        set: function (value) {
+            if (POINTER_FIELDS.some(function (f) { return f.id === value; })) ropeForces.pointerField = value;
+        }
+    },
+    {
+        id: "LinkFX.Gravity.IdleSway",
+        name: "Ropes sway gently when idle",
+        category: ["LinkFX", "Gravity", "Idle sway"],
+        type: "boolean",
+        defaultValue: false,
+        get: function () { return ropeForces.idleSway; },
+        set: function (value) { ropeForces.idleSway = !!value; }
+    },
+    {
+        id: "LinkFX.Gif.Enabled",
+        name: "Show GIF on links",
+        category: ["LinkFX", "GIF", "Enabled"],
+        type: "boolean",
+        defaultValue: false,
+        get: function () { return gifEnabled; },
+        set: function (value) { gifEnabled = !!value; }
+    },
+    {
+        id: "LinkFX.Gif.Size",
+        name: "GIF size (px)",
+        category: ["LinkFX", "GIF", "Size"],
+        type: "slider",
+        attrs: { min: 16, max: 128, step: 1 },
+        defaultValue: 32,
+        get: function () { return gifSize; },
+        set: function (value) { gifSize = Math.round(clampNumber(value, 16, 128, gifSize)); }
+    },
+    {
+        id: "LinkFX.Gif.Speed",
+        name: "GIF speed",
+        category: ["LinkFX", "GIF", "Speed"],
+        type: "slider",
+        attrs: { min: 0.1, max: 2.0, step: 0.1 },
+        defaultValue: 0.3,
+        get: function () { return gifSpeed; },
+        set: function (value) { gifSpeed = clampNumber(value, 0.1, 2.0, gifSpeed); }
+    },
+    {
+        id: "LinkFX.Gif.Count",
+        name: "Sprites per link",
+        category: ["LinkFX", "GIF", "Count"],
+        type: "slider",
+        attrs: { min: 1, max: 10, step: 1 },
+        defaultValue: 1,
+        get: function () { return gifCount; },
+        set: function (value) { gifCount = Math.round(clampNumber(value, 1, 10, gifCount)); }
+    },
+    {
+        id: "LinkFX.Gif.Direction",
+        name: "Sprite direction",
+        category: ["LinkFX", "GIF", "Direction"],
+        type: "combo",
+        defaultValue: "forward",
+        options: function () { return [{ text: "Output \u2192 input", value: "forward" }, { text: "Input \u2192 output", value: "reverse" }, { text: "Ping-pong", value: "pingpong" }]; },
+        get: function () { return gifDirection; },
+        set: function (value) {
+            if (GIF_DIRECTIONS.some(function (d) { return d.id === value; })) gifDirection = value;
+        }
+    },
+    {
+        id: "LinkFX.Gif.Orientation",
+        name: "Sprite orientation",
+        category: ["LinkFX", "GIF", "Orientation"],
+        type: "combo",
+        defaultValue: "rotate",
+        options: function () { return [{ text: "Follow the wire", value: "rotate" }, { text: "Upright", value: "upright" }, { text: "Upright, mirrored by direction", value: "mirror" }]; },
+        get: function () { return gifOrientation; },
+        set: function (value) {
+            if (GIF_ORIENTATIONS.some(function (o) { return o.id === value; })) gifOrientation = value;
+        }
+    }
+].concat(Object.keys(ROPE_CONFIG_RANGES).map(function (key) {
+    const range = ROPE_CONFIG_RANGES[key];
+    return {
+        id: "LinkFX.Rope." + key.charAt(0).toUpperCase() + key.slice(1),
+        name: range.name,
+        category: ["LinkFX", "Gravity", range.name],
+        type: "slider",
+        attrs: { min: range.min, max: range.max, step: range.step },
+        defaultValue: DEFAULT_ROPE_CONFIG[key],
+        get: function () { return ropeConfig[key]; },
+        set: function (value) { setRopeConfigValue(key, value); }
+    };
+}));
+
+let applyingComfySetting = false;
+
+function getComfySettingsApi() {
+    if (!app) return null;
+    const store = app.extensionManager && app.extensionManager.setting;
+    if (store && typeof store.get === "function" && typeof store.set === "function") {
+        return {
+            get: function (id) { return store.get(id); },
+            set: function (id, value) { return store.set(id, value); }
+        };
+    }
+    const legacy = app.ui && app.ui.settings;
+    if (legacy && typeof legacy.getSettingValue === "function") {
+        return {
+            get: function (id) { return legacy.getSettingValue(id); },
+            set: function (id, value) { return legacy.setSettingValue(id, value); }
+        };
+    }
+    return null;
+}
+
+function buildComfySettings() {
+    return SETTING_BINDINGS.map(function (binding) {
+        const setting = {
+            id: binding.id,
+            name: binding.name,
+            category: binding.category,
+            type: binding.type,
+            defaultValue: binding.defaultValue,
+            onChange: function (value) { onComfySettingChange(binding, value); }
+        };
+        if (binding.options) setting.options = binding.options;
+        if (binding.attrs) setting.attrs = binding.attrs;
+        return setting;
+    });
+}
+
+function onComfySettingChange(binding, value) {
+    if (applyingComfySetting || value === undefined || value === null) return;
+    if (value === binding.get()) return;
+    binding.set(value);
+    // Saving now would overwrite the local store with defaults before init has loaded it
+    if (!settingsLoaded) return;
+    handleSettingsChanged();
+    log("setting changed from ComfyUI: " + binding.id + " = " + value);
+}
+
+// Sidebar changes reach ComfyUI through saveSettings(); this is the other direction.
+function handleSettingsChanged() {
+    if (!gravityEnabled) ropePhysics.clear();
+    if (!gifEnabled) resetSprites();
+    if (!overlayRendering) removeOverlayCanvas();
+    if (sidebarContainer) buildSidebarContent(sidebarContainer);
+    refreshHooks();
+    refreshAnimationLoop();
+    if (app && app.graph) app.graph.setDirtyCanvas(true, true);
+    saveSettings();
+}
+
+function pushComfySettings() {
+    const settingsApi = getComfySettingsApi();
+    if (!settingsApi) return;
+    applyingComfySetting = true;
+    try {
+        for (const binding of SETTING_BINDINGS) {
+            const value = binding.get();
+            if (settingsApi.get(binding.id) === value) continue;
+            // Newer frontends save to the server and return a promise
+            const pending = settingsApi.set(binding.id, value);
+            if (pending && typeof pending.then === "function") {
+                pending.then(null, function (err) { warn("failed to save ComfyUI setting " + binding.id, err); });
+            }
+        }
+    } catch (err) {
+        warn("failed to sync ComfyUI settings", err);
+    } finally {
+        applyingComfySetting = false;
+    }
+}
+
+// ========== GIF 功能相关函数 ==========
+
+// GIF 解码成帧后直接在 renderLink 里用 ctx.drawImage 绘制，和连线共用变换与裁剪。
+// 优先使用浏览器的 ImageDecoder，不支持时用下面的纯 JS 解码器。
+
+// 浏览器对 0/10ms 的帧延迟按 100ms 播放，这里保持一致
+function normalizeFrameDelay(delay) {
+    return delay >= 20 ? delay : 100;
+}
+
+function createFrameCanvas(width, height) {
+    if (typeof OffscreenCanvas !== "undefined") return new OffscreenCanvas(width, height);
+    const canvas = document.createElement("canvas");
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+}
+
+function isGifData(bytes) {
+    return bytes.length >= 6 && bytes[0] === 0x47 && bytes[1] === 0x49 && bytes[2] === 0x46;
+}
+
+// 按文件头识别格式，不认识的返回 null
+function detectImageType(bytes) {
+    if (isGifData(bytes)) return "image/gif";
+    if (bytes.length >= 8 && bytes[0] === 0x89 && bytes[1] === 0x50 && bytes[2] === 0x4E && bytes[3] === 0x47) return "image/png";
+    if (bytes.length >= 3 && bytes[0] === 0xFF && bytes[1] === 0xD8 && bytes[2] === 0xFF) return "image/jpeg";
+    if (bytes.length >= 12 && String.fromCharCode.apply(null, bytes.subarray(0, 4)) === "RIFF" &&
+        String.fromCharCode.apply(null, bytes.subarray(8, 12)) === "WEBP") return "image/webp";
+    const head = new TextDecoder().decode(bytes.subarray(0, 1024)).trimStart();
+    if (head.startsWith("<") && head.includes("<svg")) return "image/svg+xml";
+    return null;
+}
+
+// 从文件头读出宽高，在分配任何帧之前检查尺寸；读不出来时返回 null
+function readImageSize(bytes, type) {
+    const u16be = function (p) { return (bytes[p] << 8) | bytes[p + 1]; };
+    if (type === "image/gif" && bytes.length >= 10) {
+        return [bytes[6] | (bytes[7] << 8), bytes[8] | (bytes[9] << 8)];
+    }
+    if (type === "image/png" && bytes.length >= 24) {
+        // IHDR 总是第一个块
+        return [u16be(16) * 65536 + u16be(18), u16be(20) * 65536 + u16be(22)];
+    }
+    if (type === "image/webp" && bytes.length >= 30) {
+        const chunk = String.fromCharCode.apply(null, bytes.subarray(12, 16));
+        if (chunk === "VP8X") {
+            return [1 + (bytes[24] | (bytes[25] << 8) | (bytes[26] << 16)), 1 + (bytes[27] | (bytes[28] << 8) | (bytes[29] << 16))];
         }
+        if (chunk === "VP8 ") return [(bytes[26] | (bytes[27] << 8)) & 0x3FFF, (bytes[28] | (bytes[29] << 8)) & 0x3FFF];
+        if (chunk === "VP8L") {
+            const bits = bytes[21] | (bytes[22] << 8) | (bytes[23] << 16) | (bytes[24] << 24);
+            return [(bits & 0x3FFF) + 1, ((bits >> 14) & 0x3FFF) + 1];
+        }
+        return null;
     }
-    
-    if (DEBUG) {
-        log("getCanvasContainer: found container: " + (container ? container.tagName + "#" + (container.id || "no-id") : "null"));
+    if (type === "image/jpeg") {
+        // 找到 SOFn 段，里面是高和宽
+        let pos = 2;
+        while (pos + 9 < bytes.length) {
+            if (bytes[pos] !== 0xFF) return null;
+            const marker = bytes[pos + 1];
+            if (marker === 0xFF) {
+                pos++;
+                continue;
+            }
+            if (marker >= 0xC0 && marker <= 0xCF && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC) {
+                return [u16be(pos + 7), u16be(pos + 5)];
+            }
+            pos += 2 + u16be(pos + 2);
+        }
     }
-    
-    return container;
+    return null;
 }
 
-function ensureGifContainer() {
-    if (gifContainer && gifContainer.parentElement) return gifContainer;
-    const container = getCanvasContainer();
-    if (!container) {
-        log("Cannot find canvas container");
-        return null;
+function checkSpriteSize(width, height) {
+    if (!(width > 0 && height > 0)) throw new Error("图片没有有效尺寸");
+    if (width > SPRITE_MAX_SIZE || height > SPRITE_MAX_SIZE) throw new Error("图片尺寸过大（最大 " + SPRITE_MAX_SIZE + "px）");
+}
+
+function checkSpriteFrames(count, width, height) {
+    if (count * width * height > SPRITE_MAX_TOTAL_PIXELS) throw new Error("动画帧过多（帧数 × 尺寸超出上限）");
+}
+
+async function decodeWithImageDecoder(buffer, type) {
+    const decoder = new ImageDecoder({ data: buffer, type: type });
+    const frames = [];
+    try {
+        await decoder.tracks.ready;
+        await decoder.completed;
+        const track = decoder.tracks.selectedTrack;
+        const count = track ? track.frameCount : 1;
+        for (let i = 0; i < count; i++) {
+            const result = await decoder.decode({ frameIndex: i });
+            const videoFrame = result.image;
+            try {
+                // 文件头里没读到尺寸时，第一帧解码后再检查
+                if (i === 0) {
+                    checkSpriteSize(videoFrame.displayWidth, videoFrame.displayHeight);
+                    checkSpriteFrames(count, videoFrame.displayWidth, videoFrame.displayHeight);
+                }
+                // duration 单位是微秒
+                const delay = videoFrame.duration ? videoFrame.duration / 1000 : 0;
+                frames.push({ image: await createImageBitmap(videoFrame), delay: normalizeFrameDelay(delay) });
+            } finally {
+                videoFrame.close();
+            }
+        }
+        return frames;
+    } catch (err) {
+        for (const frame of frames) frame.image.close();
+        throw err;
+    } finally {
+        decoder.close();
     }
-    
-    // 如果容器已存在但被移除，重新创建
-    if (gifContainer && !gifContainer.parentElement) {
-        gifContainer = null;
+}
+
+// LZW 解压，返回调色板索引
+function decodeGifLzw(minCodeSize, data, pixelCount) {
+    const out = new Uint8Array(pixelCount);
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    const prefix = new Uint16Array(4096);
+    const suffix = new Uint8Array(4096);
+    const stack = new Uint8Array(4097);
+    for (let c = 0; c < clearCode; c++) suffix[c] = c;
+
+    let codeSize = minCodeSize + 1;
+    let codeMask = (1 << codeSize) - 1;
+    let nextCode = endCode + 1;
+    let prev = -1;
+    let first = 0;
+    let outPos = 0;
+    let acc = 0;
+    let bits = 0;
+    let dataPos = 0;
+
+    while (outPos < pixelCount) {
+        while (bits < codeSize) {
+            if (dataPos >= data.length) return out;
+            acc |= data[dataPos++] << bits;
+            bits += 8;
+        }
+        const code = acc & codeMask;
+        acc >>>= codeSize;
+        bits -= codeSize;
+
+        if (code === clearCode) {
+            codeSize = minCodeSize + 1;
+            codeMask = (1 << codeSize) - 1;
+            nextCode = endCode + 1;
+            prev = -1;
+            continue;
+        }
+        if (code === endCode) break;
+        if (prev === -1) {
+            out[outPos++] = suffix[code];
+            prev = code;
+            first = suffix[code];
+            continue;
+        }
+
+        let sp = 0;
+        let cur = code;
+        if (code >= nextCode) {
+            // KwKwK：当前码还不在字典里
+            stack[sp++] = first;
+            cur = prev;
+        }
+        while (cur >= clearCode) {
+            stack[sp++] = suffix[cur];
+            cur = prefix[cur];
+        }
+        stack[sp++] = cur;
+        first = cur;
+        while (sp > 0 && outPos < pixelCount) out[outPos++] = stack[--sp];
+
+        if (nextCode < 4096) {
+            prefix[nextCode] = prev;
+            suffix[nextCode] = first;
+            nextCode++;
+            if (nextCode > codeMask && codeSize < 12) {
+                codeSize++;
+                codeMask = (1 << codeSize) - 1;
+            }
+        }
+        prev = code;
     }
-    
-    if (!gifContainer) {
-        gifContainer = document.createElement("div");
-        gifContainer.id = "linkfx-gif-container";
+    return out;
+}
+
+// 让出主线程，避免长时间解码卡住界面
+function yieldToMain() {
+    return new Promise(function (resolve) { setTimeout(resolve, 0); });
+}
+
+// 纯 JS GIF 解码：处理全局/局部调色板、透明色、隔行扫描和三种 disposal 方式。
+// 每帧之间超过时间片就让出主线程，大 GIF 不会冻结界面
+async function decodeGifFrames(bytes) {
+    let pos = 6;
+    let sliceStart = performance.now();
+    const readByte = function () { return bytes[pos++]; };
+    const readU16 = function () {
+        const value = bytes[pos] | (bytes[pos + 1] << 8);
+        pos += 2;
+        return value;
+    };
+    const readPalette = function (size) {
+        const palette = bytes.subarray(pos, pos + size * 3);
+        pos += size * 3;
+        return palette;
+    };
+    const readSubBlocks = function () {
+        const chunks = [];
+        let total = 0;
+        let size = readByte();
+        while (size > 0 && pos < bytes.length) {
+            chunks.push(bytes.subarray(pos, pos + size));
+            total += size;
+            pos += size;
+            size = readByte();
+        }
+        const data = new Uint8Array(total);
+        let offset = 0;
+        for (const chunk of chunks) {
+            data.set(chunk, offset);
+            offset += chunk.length;
+        }
+        return data;
+    };
+
+    const width = readU16();
+    const height = readU16();
+    checkSpriteSize(width, height);
+    const screenFlags = readByte();
+    pos += 2; // 背景色索引、像素宽高比
+    const globalPalette = (screenFlags & 0x80) ? readPalette(1 << ((screenFlags & 7) + 1)) : null;
+
+    const pixels = new Uint8ClampedArray(width * height * 4);
+    const frames = [];
+    let control = { delay: 0, transparent: -1, disposal: 0 };
+
+    while (pos < bytes.length) {
+        const block = readByte();
+        if (block === 0x3B) break;
+        if (block === 0x21) {
+            const label = readByte();
+            if (label === 0xF9) {
+                pos++; // 块大小，固定为 4
+                const flags = readByte();
+                const delay = readU16() * 10;
+                const transparentIndex = readByte();
+                pos++; // 块结束符
+                control = { delay: delay, transparent: (flags & 1) ? transparentIndex : -1, disposal: (flags >> 2) & 7 };
+            } else {
+                readSubBlocks();
+            }
+            continue;
+        }
+        if (block !== 0x2C) break;
+
+        if (performance.now() - sliceStart > GIF_DECODE_SLICE_MS) {
+            await yieldToMain();
+            sliceStart = performance.now();
+        }
+        const fx = readU16();
+        const fy = readU16();
+        const fw = readU16();
+        const fh = readU16();
+        if (fw > SPRITE_MAX_SIZE || fh > SPRITE_MAX_SIZE) throw new Error("图片尺寸过大（最大 " + SPRITE_MAX_SIZE + "px）");
+        const flags = readByte();
+        const palette = (flags & 0x80) ? readPalette(1 << ((flags & 7) + 1)) : globalPalette;
+        const interlaced = (flags & 0x40) !== 0;
+        const minCodeSize = readByte();
+        const indices = decodeGifLzw(minCodeSize, readSubBlocks(), fw * fh);
+
+        const previous = control.disposal === 3 ? pixels.slice() : null;
+        if (palette) {
+            // 隔行扫描的行顺序：0,8,16.. 4,12.. 2,6.. 1,3..
+            const rowOrder = [];
+            if (interlaced) {
+                for (const [start, step] of [[0, 8], [4, 8], [2, 4], [1, 2]]) {
+                    for (let row = start; row < fh; row += step) rowOrder.push(row);
+                }
+            }
+            for (let i = 0; i < fh; i++) {
+                const row = interlaced ? rowOrder[i] : i;
+                const y = fy + row;
+                if (y >= height) continue;
+                for (let col = 0; col < fw; col++) {
+                    const x = fx + col;
+                    if (x >= width) continue;
+                    const index = indices[i * fw + col];
+                    if (index === control.transparent) continue;
+                    const p = (y * width + x) * 4;
+                    pixels[p] = palette[index * 3];
+                    pixels[p + 1] = palette[index * 3 + 1];
+                    pixels[p + 2] = palette[index * 3 + 2];
+                    pixels[p + 3] = 255;
+                }
+            }
+        }
+
+        checkSpriteFrames(frames.length + 1, width, height);
+        const canvas = createFrameCanvas(width, height);
+        canvas.getContext("2d").putImageData(new ImageData(new Uint8ClampedArray(pixels), width, height), 0, 0);
+        frames.push({ image: canvas, delay: normalizeFrameDelay(control.delay) });
+
+        if (control.disposal === 2) {
+            for (let y = fy; y < Math.min(fy + fh, height); y++) {
+                pixels.fill(0, (y * width + fx) * 4, (y * width + Math.min(fx + fw, width)) * 4);
+            }
+        } else if (previous) {
+            pixels.set(previous);
+        }
+        control = { delay: 0, transparent: -1, disposal: 0 };
     }
-    
-    gifContainer.style.position = "absolute";
-    gifContainer.style.top = "0";
-    gifContainer.style.left = "0";
-    gifContainer.style.width = "100%";
-    gifContainer.style.height = "100%";
-    gifContainer.style.pointerEvents = "none";
-    gifContainer.style.zIndex = "10000";
-    gifContainer.style.overflow = "visible";
-    
-    if (DEBUG) {
-        log("GIF container created: position=" + gifContainer.style.position + ", zIndex=" + gifContainer.style.zIndex);
+    if (!frames.length) throw new Error("GIF 中没有图像帧");
+    return frames;
+}
+
+function loadStaticImage(bytes, type) {
+    const url = URL.createObjectURL(new Blob([bytes], { type: type }));
+    return new Promise(function (resolve, reject) {
+        const img = new Image();
+        img.onload = function () { resolve(img); };
+        img.onerror = function () { reject(new Error("图片无法加载")); };
+        img.src = url;
+    }).finally(function () {
+        URL.revokeObjectURL(url);
+    });
+}
+
+// SVG 可能没有固有尺寸，栅格化成固定大小的位图
+function rasterizeSvg(img) {
+    const scale = SVG_RASTER_SIZE / Math.max(img.naturalWidth || SVG_RASTER_SIZE, img.naturalHeight || SVG_RASTER_SIZE);
+    const width = Math.max(1, Math.round((img.naturalWidth || SVG_RASTER_SIZE) * scale));
+    const height = Math.max(1, Math.round((img.naturalHeight || SVG_RASTER_SIZE) * scale));
+    const canvas = createFrameCanvas(width, height);
+    canvas.getContext("2d").drawImage(img, 0, 0, width, height);
+    return canvas;
+}
+
+// frame.rect（精灵表的格子）存在时只画图像的这一部分
+function createSprite(frames) {
+    const ends = [];
+    let duration = 0;
+    for (const frame of frames) {
+        duration += frame.delay;
+        ends.push(duration);
     }
-    
-    if (!gifContainer.parentElement) {
-        container.appendChild(gifContainer);
-        log("GIF container created and appended");
+    const first = frames[0];
+    return {
+        frames: frames,
+        ends: ends,
+        duration: duration,
+        width: first.rect ? first.rect[2] : first.image.width,
+        height: first.rect ? first.rect[3] : first.image.height
+    };
+}
+
+async function decodeSprite(url) {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error("HTTP " + response.status);
+    const bytes = new Uint8Array(await response.arrayBuffer());
+    if (bytes.length > SPRITE_MAX_BYTES) throw new Error("文件过大（最大 " + (SPRITE_MAX_BYTES >> 20) + "MB）");
+    const type = detectImageType(bytes);
+    if (!type) throw new Error("不支持的图片格式，请使用 GIF、PNG、APNG、WebP、JPEG 或 SVG");
+    const size = readImageSize(bytes, type);
+    if (size) checkSpriteSize(size[0], size[1]);
+
+    let frames = null;
+    if (type !== "image/svg+xml" && typeof ImageDecoder !== "undefined") {
+        try {
+            if (await ImageDecoder.isTypeSupported(type)) frames = await decodeWithImageDecoder(bytes, type);
+        } catch (err) {
+            warn("ImageDecoder 解码失败，改用内置解码器", err);
+        }
     }
-    
-    return gifContainer;
+    if (!frames && type === "image/gif") frames = await decodeGifFrames(bytes);
+    if (!frames) {
+        // 其他格式（或不支持 ImageDecoder 时的 APNG/WebP）退回为单帧图片
+        const img = await loadStaticImage(bytes, type);
+        frames = [{ image: type === "image/svg+xml" ? rasterizeSvg(img) : img, delay: 0 }];
+    }
+    const sprite = createSprite(frames);
+    try {
+        checkSpriteSize(sprite.width, sprite.height);
+    } catch (err) {
+        releaseSprite(sprite);
+        throw err;
+    }
+    sprite.type = type;
+    return sprite;
 }
 
-function getLinkKey(link, a, b) {
-    if (link && link.id != null) {
-        return "link_" + link.id;
+function releaseSprite(sprite) {
+    for (const frame of sprite.frames) {
+        if (frame.image && typeof frame.image.close === "function") frame.image.close();
     }
-    return "pos_" + Math.round(a[0] / 10) + "_" + Math.round(a[1] / 10) + "_" + Math.round(b[0] / 10) + "_" + Math.round(b[1] / 10);
 }
 
-function createGifElement(linkKey) {
-    const container = ensureGifContainer();
-    if (!container) return null;
-    
-    const img = document.createElement("img");
-    img.style.position = "absolute";
-    img.style.width = gifSize + "px";
-    img.style.height = gifSize + "px";
-    img.style.objectFit = "contain";
-    img.style.pointerEvents = "none";
-    img.style.userSelect = "none";
-    img.style.transformOrigin = "center center";
-    img.style.display = "none";
-    
-    // 添加错误处理
-    img.onerror = function() {
-        warn("GIF 加载失败: " + gifUrl + "，请检查文件路径或使用文件选择器");
-        this.style.display = "none";
-    };
-    
-    img.onload = function() {
-        log("GIF 加载成功: " + gifUrl.substring(0, 50) + "...");
-        log("GIF image dimensions: " + this.naturalWidth + "x" + this.naturalHeight);
-        log("GIF element style: display=" + this.style.display + ", visibility=" + this.style.visibility + ", opacity=" + this.style.opacity);
-    };
-    
-    img.src = gifUrl;
-    
-    container.appendChild(img);
-    gifElements.set(linkKey, img);
-    log("GIF element created for: " + linkKey);
-    return img;
+function shortenUrl(url) {
+    return url.length > 50 ? url.substring(0, 50) + "..." : url;
+}
+
+// 按需解码图片；解码完成前（或失败时）返回 null
+function ensureSprite(url) {
+    if (!url) return null;
+    const cached = spriteCache.get(url);
+    if (cached) return cached.sprite;
+    const entry = { sprite: null, error: "", sliced: null, slicedKey: "" };
+    spriteCache.set(url, entry);
+    decodeSprite(url).then(function (sprite) {
+        if (spriteCache.get(url) !== entry) {
+            releaseSprite(sprite);
+            return;
+        }
+        entry.sprite = sprite;
+        log("sprite decoded: " + sprite.type + ", " + sprite.frames.length + " frames, " + sprite.width + "x" + sprite.height);
+        renderSpritePreview();
+        if (app && app.graph) app.graph.setDirtyCanvas(true, true);
+    }).catch(function (err) {
+        if (spriteCache.get(url) !== entry) return;
+        entry.error = err && err.message ? err.message : String(err);
+        renderSpritePreview();
+        warn("图片加载失败: " + shortenUrl(url) + "，请检查文件路径或使用文件选择器", err);
+    });
+    return null;
+}
+
+function getSpriteError(url) {
+    const cached = spriteCache.get(url);
+    return cached ? cached.error : "";
+}
+
+function releaseCachedSprite(url) {
+    const cached = spriteCache.get(url);
+    if (!cached) return;
+    if (cached.sprite) releaseSprite(cached.sprite);
+    spriteCache.delete(url);
+}
+
+function resetSprites() {
+    for (const url of Array.from(spriteCache.keys())) releaseCachedSprite(url);
+}
+
+function countDecodedFrames() {
+    let frames = 0;
+    for (const cached of spriteCache.values()) {
+        if (cached.sprite) frames += cached.sprite.frames.length;
+    }
+    return frames;
+}
+
+// 图片自己的精灵表设置；没有设置时返回 null
+function getSpriteSheet(url) {
+    if (!url) return null;
+    if (url === gifUrl && !gifSpriteId) return gifSheet;
+    for (const item of spriteLibrary.values()) {
+        if (item.data === url) return item.sheet || null;
+    }
+    return null;
+}
+
+// 连线上实际使用的精灵：这张图开启了精灵表时是切好的格子，否则就是解码结果
+function getLinkSprite(url) {
+    const base = ensureSprite(url);
+    const sheet = getSpriteSheet(url);
+    if (!base || !sheet || !sheet.enabled) return base;
+    const cached = spriteCache.get(url);
+    const key = sheet.columns + "x" + sheet.rows + "/" + sheet.frameCount + "@" + sheet.fps;
+    if (!cached.sliced || cached.slicedKey !== key) {
+        cached.sliced = sliceSpriteSheet(base, sheet);
+        cached.slicedKey = key;
+    }
+    return cached.sliced;
+}
+
+// 优先级：单条连线指定 > 连线类型指定 > 默认图片（gifUrl）
+function getLinkSpriteId(link) {
+    if (!link) return null;
+    const assigned = getGraphSpriteAssignments(false);
+    if (assigned && link.id != null && Object.prototype.hasOwnProperty.call(assigned, link.id)) return assigned[link.id];
+    const type = link.type != null ? String(link.type) : null;
+    if (type !== null && Object.prototype.hasOwnProperty.call(linkTypeSprites, type)) return linkTypeSprites[type];
+    return null;
+}
+
+function getSpriteUrlForLink(link) {
+    const id = getLinkSpriteId(link);
+    if (id === SPRITE_NONE) return "";
+    if (id) {
+        const item = spriteLibrary.get(id);
+        if (item) return item.data;
+        // 图库还没读出来时先不画，避免闪一下默认图片
+        if (!spriteLibraryReady) return "";
+    }
+    return gifUrl;
+}
+
+function hasSpriteSource() {
+    if (gifUrl) return true;
+    for (const type in linkTypeSprites) {
+        if (linkTypeSprites[type] !== SPRITE_NONE) return true;
+    }
+    const assigned = getGraphSpriteAssignments(false);
+    if (assigned) {
+        for (const id in assigned) {
+            if (assigned[id] !== SPRITE_NONE) return true;
+        }
+    }
+    return false;
+}
+
+// 单条连线的指定跟着工作流保存，所以放在 graph.extra 里
+function getGraphSpriteAssignments(create) {
+    const graph = app && app.graph;
+    if (!graph) return null;
+    if (!graph.extra) {
+        if (!create) return null;
+        graph.extra = {};
+    }
+    if (!graph.extra[GRAPH_SPRITE_KEY] && create) graph.extra[GRAPH_SPRITE_KEY] = {};
+    return graph.extra[GRAPH_SPRITE_KEY] || null;
+}
+
+function getGraphLinks() {
+    const links = app && app.graph && app.graph.links;
+    if (!links) return [];
+    return (links instanceof Map ? Array.from(links.values()) : Object.values(links)).filter(Boolean);
+}
+
+// 选中节点相连的连线，和 "selected" 动画模式的判定一致
+function getSelectedNodeLinkIds() {
+    const selectedIds = getSelectedNodeIds();
+    if (selectedIds.size === 0) return [];
+    return getGraphLinks().filter(function (link) {
+        return selectedIds.has(link.origin_id) || selectedIds.has(link.target_id);
+    }).map(function (link) { return link.id; });
+}
+
+function setLinkSprites(linkIds, spriteId) {
+    const assigned = getGraphSpriteAssignments(!!spriteId);
+    if (!assigned) return;
+    for (const id of linkIds) {
+        if (spriteId) assigned[id] = spriteId;
+        else delete assigned[id];
+    }
+    pruneLinkSprites();
+    afterSpriteAssignmentChanged();
+    log("sprite for " + linkIds.length + " links: " + (spriteId || "default"));
+}
+
+// 删掉已经不存在的连线的指定
+function pruneLinkSprites() {
+    const assigned = getGraphSpriteAssignments(false);
+    if (!assigned) return;
+    const existing = new Set(getGraphLinks().map(function (link) { return String(link.id); }));
+    for (const id in assigned) {
+        if (!existing.has(id)) delete assigned[id];
+    }
+    if (Object.keys(assigned).length === 0) delete app.graph.extra[GRAPH_SPRITE_KEY];
 }
 
-function updateGifPosition(linkKey, a, b, ropePoints, now, ctx) {
-    if (!gifEnabled || !gifUrl) {
-        if (DEBUG) log("updateGifPosition skipped: gifEnabled=" + gifEnabled + ", gifUrl=" + (gifUrl ? "set" : "not set"));
+function setLinkTypeSprite(type, spriteId) {
+    if (spriteId) linkTypeSprites[type] = spriteId;
+    else delete linkTypeSprites[type];
+    afterSpriteAssignmentChanged();
+    saveSettings();
+    log("sprite for link type " + type + ": " + (spriteId || "default"));
+}
+
+function afterSpriteAssignmentChanged() {
+    refreshHooks();
+    refreshAnimationLoop();
+    if (sidebarContainer) buildSidebarContent(sidebarContainer);
+    if (app && app.graph) app.graph.setDirtyCanvas(true, true);
+}
+
+// ========== Sprite library (IndexedDB) ==========
+
+function openSpriteDb() {
+    if (spriteDbPromise) return spriteDbPromise;
+    spriteDbPromise = new Promise(function (resolve, reject) {
+        if (typeof indexedDB === "undefined") {
+            reject(new Error("IndexedDB 不可用"));
+            return;
+        }
+        const request = indexedDB.open(SPRITE_DB_NAME, 1);
+        request.onupgradeneeded = function () {
+            request.result.createObjectStore(SPRITE_DB_STORE, { keyPath: "id" });
+        };
+        request.onsuccess = function () { resolve(request.result); };
+        request.onerror = function () { reject(request.error); };
+    });
+    spriteDbPromise.catch(function () { spriteDbPromise = null; });
+    return spriteDbPromise;
+}
+
+// action 在事务里发起请求；事务提交后返回该请求的结果
+function runSpriteDb(mode, action) {
+    return openSpriteDb().then(function (db) {
+        return new Promise(function (resolve, reject) {
+            const tx = db.transaction(SPRITE_DB_STORE, mode);
+            const request = action(tx.objectStore(SPRITE_DB_STORE));
+            tx.oncomplete = function () { resolve(request ? request.result : undefined); };
+            tx.onerror = function () { reject(tx.error); };
+            tx.onabort = function () { reject(tx.error || new Error("transaction aborted")); };
+        });
+    });
+}
+
+async function loadSpriteLibrary() {
+    try {
+        const items = await runSpriteDb("readonly", function (store) { return store.getAll(); });
+        spriteLibrary.clear();
+        items.sort(function (a, b) { return a.created - b.created; });
+        for (const item of items) {
+            if (item.sheet && typeof item.sheet === "object") item.sheet = normalizeSpriteSheet(item.sheet);
+            spriteLibrary.set(item.id, item);
+        }
+        log("sprite library loaded: " + items.length + " sprites");
+    } catch (err) {
+        warn("精灵图库读取失败", err);
+    }
+    spriteLibraryReady = true;
+    resolveDefaultSprite();
+    if (pendingSpriteImport) {
+        const data = pendingSpriteImport;
+        pendingSpriteImport = null;
+        // 旧版的精灵表设置是全局的，对这张图生效
+        storeDefaultSprite("导入的图片", data, Object.assign({}, gifSheet));
+    }
+    afterSpriteAssignmentChanged();
+}
+
+// 设置里只有图库 id，图片数据从图库取；图片已被删除时清空默认图片
+function resolveDefaultSprite() {
+    if (!gifSpriteId) return;
+    const item = spriteLibrary.get(gifSpriteId);
+    if (item) {
+        gifUrl = item.data;
         return;
     }
-    
-    const len = Math.hypot(b[0] - a[0], b[1] - a[1]);
-    if (len < 10) {
-        if (DEBUG) log("updateGifPosition skipped: link too short: " + len);
-        return; // 连线太短，不显示
+    warn("默认图片已不在图库中");
+    gifSpriteId = "";
+    gifUrl = "";
+    saveSettings();
+}
+
+// 本地文件（base64）存进图库，设置里只记 id；同样的数据不重复保存。
+// sheet 是这张图已有的精灵表设置，一起存进新条目
+async function storeDefaultSprite(name, data, sheet) {
+    let item = null;
+    for (const existing of spriteLibrary.values()) {
+        if (existing.data === data) item = existing;
     }
-    
-    const cp = Math.max(len * 0.3, 40);
-    
-    // 计算 GIF 在连线上的位置（0-1之间）
-    let t = gifPosition;
-    if (animationMode !== "static") {
-        // 动态移动：根据时间计算位置
-        const cycleTime = 3000 / gifSpeed; // 完整循环时间（毫秒）
-        const cyclePos = ((now % cycleTime) / cycleTime);
-        t = cyclePos;
+    try {
+        if (!item) item = await addLibrarySprite(name, data, sheet);
+    } catch (err) {
+        warn("图片未能保存到图库，刷新页面后需要重新选择", err);
+        return;
     }
-    
-    // 获取连线上的点（使用和效果函数相同的坐标系统）
-    const pt = getSmartPoint(t, a, b, cp, ropePoints);
-    const px = pt[0];
-    const py = pt[1];
-    
-    // 计算旋转角度（沿连线方向）
-    let angle = 0;
-    if (t < 0.99) {
-        const nextT = Math.min(t + 0.01, 1);
-        const nextPt = getSmartPoint(nextT, a, b, cp, ropePoints);
-        const dx = nextPt[0] - px;
-        const dy = nextPt[1] - py;
-        angle = Math.atan2(dy, dx) * (180 / Math.PI);
-    } else {
-        // 最后一点，使用前一点的方向
-        const prevT = Math.max(t - 0.01, 0);
-        const prevPt = getSmartPoint(prevT, a, b, cp, ropePoints);
-        const dx = px - prevPt[0];
-        const dy = py - prevPt[1];
-        angle = Math.atan2(dy, dx) * (180 / Math.PI);
+    // 保存期间又换了图片就不再改
+    if (gifUrl !== data) return;
+    gifSpriteId = item.id;
+    if (sidebarContainer) buildSidebarContent(sidebarContainer);
+    saveSettings();
+}
+
+async function addLibrarySprite(name, data, sheet) {
+    const item = {
+        id: "sprite-" + Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+        name: name,
+        data: data,
+        created: Date.now()
+    };
+    if (sheet) item.sheet = sheet;
+    await runSpriteDb("readwrite", function (store) { return store.put(item); });
+    spriteLibrary.set(item.id, item);
+    if (sidebarContainer) buildSidebarContent(sidebarContainer);
+    return item;
+}
+
+// 先更新内存里的条目，连线马上按新的网格切帧
+async function setLibrarySpriteSheet(id, sheet) {
+    const item = spriteLibrary.get(id);
+    if (!item) return;
+    const updated = Object.assign({}, item, { sheet: sheet });
+    spriteLibrary.set(id, updated);
+    await runSpriteDb("readwrite", function (store) { return store.put(updated); });
+}
+
+async function renameLibrarySprite(id, name) {
+    const item = spriteLibrary.get(id);
+    if (!item) return;
+    const renamed = Object.assign({}, item, { name: name });
+    await runSpriteDb("readwrite", function (store) { return store.put(renamed); });
+    spriteLibrary.set(id, renamed);
+    if (sidebarContainer) buildSidebarContent(sidebarContainer);
+}
+
+// 删除时一并去掉指向它的类型/连线指定
+async function deleteLibrarySprite(id) {
+    const item = spriteLibrary.get(id);
+    if (!item) return;
+    await runSpriteDb("readwrite", function (store) { return store.delete(id); });
+    spriteLibrary.delete(id);
+    if (id === gifSpriteId) {
+        gifSpriteId = "";
+        gifUrl = "";
     }
-    
-    // 获取或创建 GIF 元素
-    let img = gifElements.get(linkKey);
-    if (!img) {
-        img = createGifElement(linkKey);
-        if (!img) return;
+    if (item.data !== gifUrl) releaseCachedSprite(item.data);
+    for (const type in linkTypeSprites) {
+        if (linkTypeSprites[type] === id) delete linkTypeSprites[type];
     }
-    
-    // 确保容器存在
-    if (!gifContainer || !gifContainer.parentElement) {
-        ensureGifContainer();
-        if (!gifContainer) return;
+    const assigned = getGraphSpriteAssignments(false);
+    if (assigned) {
+        for (const linkId in assigned) {
+            if (assigned[linkId] === id) delete assigned[linkId];
+        }
     }
-    
-    // 获取 Canvas 元素
-    const canvas = app.canvas.canvas;
-    if (!canvas) return;
-    
-    // 获取 Canvas 和容器的位置信息
-    const canvasRect = canvas.getBoundingClientRect();
-    const containerRect = gifContainer.getBoundingClientRect();
-    
-    if (!canvasRect || !containerRect) return;
-    
-    // 获取 Canvas 2D 上下文的变换矩阵
-    // 如果传入了 ctx，使用它；否则获取新的上下文（可能不准确）
-    let transform = { a: 1, b: 0, c: 0, d: 1, e: 0, f: 0 };
-    
-    if (ctx && typeof ctx.getTransform === "function") {
-        // 使用传入的上下文（最准确，因为它有当前的变换状态）
-        transform = ctx.getTransform();
+    saveSettings();
+    afterSpriteAssignmentChanged();
+}
+
+function sliceSpriteSheet(base, sheet) {
+    const image = base.frames[0].image;
+    const cellWidth = base.width / sheet.columns;
+    const cellHeight = base.height / sheet.rows;
+    const count = Math.min(sheet.frameCount, sheet.columns * sheet.rows);
+    const frames = [];
+    for (let i = 0; i < count; i++) {
+        const col = i % sheet.columns;
+        const row = Math.floor(i / sheet.columns);
+        frames.push({ image: image, rect: [col * cellWidth, row * cellHeight, cellWidth, cellHeight], delay: 1000 / sheet.fps });
+    }
+    const sprite = createSprite(frames);
+    sprite.source = base;
+    sprite.type = base.type;
+    return sprite;
+}
+
+function setSpriteSheetValue(sheet, key, value) {
+    const range = SPRITE_SHEET_RANGES[key];
+    sheet[key] = Math.round(clampNumber(value, range.min, range.max, sheet[key]));
+}
+
+// 设置或图库里读出来的精灵表配置，缺失或越界的字段用默认值
+function normalizeSpriteSheet(data) {
+    const sheet = Object.assign({}, DEFAULT_SPRITE_SHEET);
+    if (typeof data.enabled === "boolean") sheet.enabled = data.enabled;
+    for (const key in SPRITE_SHEET_RANGES) setSpriteSheetValue(sheet, key, data[key]);
+    return sheet;
+}
+
+// 侧边栏编辑的是默认图片的精灵表：图库图片存回图库条目，URL 存进设置
+function setDefaultSpriteSheet(sheet) {
+    if (gifSpriteId && spriteLibrary.has(gifSpriteId)) {
+        setLibrarySpriteSheet(gifSpriteId, sheet).catch(function (err) { warn("精灵表设置保存失败", err); });
     } else {
-        // 尝试从 Canvas 对象获取变换信息
-        const canvasObj = app.canvas;
-        if (canvasObj) {
-            const scale = canvasObj.ds || canvasObj.scale || 1;
-            const offset = canvasObj.offset || (canvasObj.graph && canvasObj.graph.offset) || [0, 0];
-            transform.a = scale;
-            transform.d = scale;
-            transform.e = -offset[0] * scale;
-            transform.f = -offset[1] * scale;
-        }
+        Object.assign(gifSheet, sheet);
+        saveSettings();
     }
-    
-    // 使用变换矩阵转换坐标（和 Canvas 绘制使用相同的变换）
-    // 变换矩阵公式：screenX = a * worldX + c * worldY + e
-    //                screenY = b * worldX + d * worldY + f
-    const screenX = transform.a * px + transform.c * py + transform.e + canvasRect.left;
-    const screenY = transform.b * px + transform.d * py + transform.f + canvasRect.top;
-    
-    // 转换为相对于容器的坐标
-    const x = screenX - containerRect.left;
-    const y = screenY - containerRect.top;
-    
-    if (DEBUG) {
-        log("Canvas transform matrix: a=" + transform.a.toFixed(3) + ", d=" + transform.d.toFixed(3) + ", e=" + transform.e.toFixed(1) + ", f=" + transform.f.toFixed(1));
-        log("World(" + px.toFixed(1) + "," + py.toFixed(1) + ") -> Screen(" + screenX.toFixed(1) + "," + screenY.toFixed(1) + ") -> Container(" + x.toFixed(1) + "," + y.toFixed(1) + ")");
+}
+
+function getSpriteFrame(sprite, time) {
+    if (sprite.frames.length === 1 || sprite.duration <= 0) return sprite.frames[0];
+    const t = time % sprite.duration;
+    for (let i = 0; i < sprite.ends.length; i++) {
+        if (t < sprite.ends[i]) return sprite.frames[i];
     }
-    
-    // 更新 GIF 位置和旋转
-    // 使用 transform-origin: center 和 translate(-50%, -50%) 确保 GIF 中心点始终在连线上
-    // 这样无论 GIF 大小如何变化，都不会偏离连线位置
-    img.style.left = x + "px";
-    img.style.top = y + "px";
-    img.style.transform = "translate(-50%, -50%) rotate(" + angle + "deg)";
-    img.style.transformOrigin = "center center";
-    img.style.display = "block";
-    img.style.visibility = "visible";
-    img.style.opacity = "1";
-    img.style.zIndex = "10000";
-    
-    if (DEBUG) {
-        log("GIF positioned: linkKey=" + linkKey + 
-            ", world(" + px.toFixed(1) + "," + py.toFixed(1) + 
-            ") -> container(" + x.toFixed(1) + "," + y.toFixed(1) + 
-            "), angle=" + angle.toFixed(1) + 
-            ", size=" + gifSize +
-            ", canvasScale=" + scale.toFixed(3) +
-            ", canvasOffset=(" + offsetX.toFixed(1) + "," + offsetY.toFixed(1) + ")");
+    return sprite.frames[sprite.frames.length - 1];
+}
+
+function drawSpriteFrame(ctx, frame, x, y, w, h) {
+    if (frame.rect) ctx.drawImage(frame.image, frame.rect[0], frame.rect[1], frame.rect[2], frame.rect[3], x, y, w, h);
+    else ctx.drawImage(frame.image, x, y, w, h);
+}
+
+// 侧边栏缩略图：第一帧 + 格式/帧数信息，解码完成或失败时刷新
+function renderSpritePreview() {
+    if (!spritePreview || !spritePreview.canvas.isConnected) return;
+    const canvas = spritePreview.canvas;
+    const ctx = canvas.getContext("2d");
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    const error = getSpriteError(gifUrl);
+    const sprite = error ? null : getLinkSprite(gifUrl);
+    if (!sprite) {
+        spritePreview.info.textContent = error ? "⚠ " + error : (gifUrl ? "解码中..." : "");
+        spritePreview.info.style.color = error ? "rgba(230,100,100,0.9)" : "var(--p-text-muted-color, #888)";
+        return;
     }
-    
-    // 保存链接数据用于清理
-    gifLinkData.set(linkKey, {
-        lastSeen: now,
-        a: [...a],
-        b: [...b]
-    });
+    const fit = Math.min(canvas.width / sprite.width, canvas.height / sprite.height);
+    const w = sprite.width * fit;
+    const h = sprite.height * fit;
+    drawSpriteFrame(ctx, sprite.frames[0], (canvas.width - w) / 2, (canvas.height - h) / 2, w, h);
+    const format = (sprite.type || "").replace("image/", "").replace("+xml", "").toUpperCase();
+    spritePreview.info.textContent = format + " · " + sprite.frames.length + " 帧 · " + Math.round(sprite.width) + "×" + Math.round(sprite.height);
+    spritePreview.info.style.color = "var(--p-text-muted-color, #888)";
 }
 
-function updateGifPositions(now) {
-    if (!gifContainer || !app || !app.canvas) return;
-    
-    // 清理过期的 GIF 元素
-    const keysToDelete = [];
-    for (const [key, data] of gifLinkData) {
-        if (now - data.lastSeen > 2000) {
-            keysToDelete.push(key);
+function createSpritePreview() {
+    const row = document.createElement("div");
+    row.style.display = "flex";
+    row.style.alignItems = "center";
+    row.style.gap = "8px";
+    row.style.marginBottom = "6px";
+
+    const canvas = document.createElement("canvas");
+    canvas.width = 48;
+    canvas.height = 48;
+    canvas.style.width = "48px";
+    canvas.style.height = "48px";
+    canvas.style.flexShrink = "0";
+    canvas.style.borderRadius = "4px";
+    canvas.style.background = "repeating-conic-gradient(rgba(255,255,255,0.08) 0% 25%, transparent 0% 50%) 50% / 12px 12px";
+    row.appendChild(canvas);
+
+    const info = document.createElement("div");
+    info.style.fontSize = "9px";
+    info.style.wordBreak = "break-word";
+    row.appendChild(info);
+
+    spritePreview = { canvas: canvas, info: info };
+    renderSpritePreview();
+    return row;
+}
+
+function createSpriteSheetControls() {
+    const wrap = document.createElement("div");
+    const sheet = Object.assign({}, getSpriteSheet(gifUrl) || DEFAULT_SPRITE_SHEET);
+    wrap.appendChild(createOptionToggle("精灵表（网格切帧，只作用于当前图片）", sheet.enabled, function () {
+        sheet.enabled = !sheet.enabled;
+        setDefaultSpriteSheet(sheet);
+        if (sidebarContainer) buildSidebarContent(sidebarContainer);
+        if (app && app.graph) app.graph.setDirtyCanvas(true, true);
+    }));
+    if (!sheet.enabled) return wrap;
+
+    const grid = document.createElement("div");
+    grid.style.display = "grid";
+    grid.style.gridTemplateColumns = "1fr 1fr";
+    grid.style.gap = "4px 8px";
+    grid.style.padding = "0 8px 8px";
+    const fields = [["columns", "列数"], ["rows", "行数"], ["frameCount", "帧数"], ["fps", "FPS"]];
+    for (const [key, label] of fields) {
+        const field = document.createElement("label");
+        field.style.display = "flex";
+        field.style.alignItems = "center";
+        field.style.justifyContent = "space-between";
+        field.style.gap = "4px";
+        field.style.fontSize = "9px";
+        field.style.color = "var(--p-text-muted-color, #888)";
+        field.textContent = label;
+
+        const input = document.createElement("input");
+        input.type = "number";
+        input.min = String(SPRITE_SHEET_RANGES[key].min);
+        input.max = String(SPRITE_SHEET_RANGES[key].max);
+        input.step = "1";
+        input.value = String(sheet[key]);
+        input.style.width = "48px";
+        input.style.padding = "2px 4px";
+        input.style.borderRadius = "4px";
+        input.style.border = "1px solid var(--p-divider-color, rgba(255,255,255,0.1))";
+        input.style.background = "var(--p-surface-ground, rgba(0,0,0,0.3))";
+        input.style.color = "var(--p-text-color, #e0e0e0)";
+        input.style.fontSize = "10px";
+        input.style.fontFamily = "inherit";
+        input.addEventListener("change", function () {
+            setSpriteSheetValue(sheet, key, this.value);
+            this.value = String(sheet[key]);
+            setDefaultSpriteSheet(Object.assign({}, sheet));
+            renderSpritePreview();
+            if (app && app.graph) app.graph.setDirtyCanvas(true, true);
+        });
+        field.appendChild(input);
+        grid.appendChild(field);
+    }
+    wrap.appendChild(grid);
+    return wrap;
+}
+
+function wrapUnit(value, period) {
+    return ((value % period) + period) % period;
+}
+
+// 每个精灵在连线上的位置 t（0-1，0 = 输出端），forward 表示正朝输入端移动
+function getSpritePlacements(now) {
+    const gap = gifSpacing > 0 ? gifSpacing : 1 / gifCount;
+    const placements = [];
+    if (animationMode === "static") {
+        // 静态模式：从 gifPosition 开始按行进方向往后排
+        const forward = gifDirection !== "reverse";
+        for (let i = 0; i < gifCount; i++) {
+            placements.push({ t: wrapUnit(gifPosition + (forward ? -i : i) * gap, 1), forward: forward });
         }
+        return placements;
     }
-    for (const key of keysToDelete) {
-        const img = gifElements.get(key);
-        if (img && img.parentElement) {
-            img.parentElement.removeChild(img);
+    const cycleTime = 3000 / gifSpeed; // 单程时间（毫秒）
+    for (let i = 0; i < gifCount; i++) {
+        if (gifDirection === "pingpong") {
+            // 一个来回 2 个单程，u 在 [0, 2) 内
+            const u = wrapUnit(now / cycleTime - i * gap, 2);
+            placements.push(u < 1 ? { t: u, forward: true } : { t: 2 - u, forward: false });
+        } else {
+            const p = wrapUnit(now / cycleTime - i * gap, 1);
+            placements.push(gifDirection === "reverse" ? { t: 1 - p, forward: false } : { t: p, forward: true });
         }
-        gifElements.delete(key);
-        gifLinkData.delete(key);
     }
+    return placements;
 }
 
-function cleanupGifElements() {
-    if (gifContainer) {
-        gifContainer.innerHTML = "";
+function drawGifOnLink(ctx, path, len, now, url) {
+    if (len < 10) return; // 连线太短，不显示
+    const sprite = getLinkSprite(url);
+    if (!sprite) return;
+
+    // 等比缩放到 gifSize 以内（相当于 object-fit: contain）
+    const fit = gifSize / Math.max(sprite.width, sprite.height);
+    const w = sprite.width * fit;
+    const h = sprite.height * fit;
+    // 帧按真实时间播放，和 <img> 的行为一致
+    const frame = getSpriteFrame(sprite, performance.now());
+    for (const placement of getSpritePlacements(now)) {
+        const pt = getSmartPoint(placement.t, path);
+        // 移动方向：反向移动时转 180°
+        const tangent = getSmartTangent(placement.t, path);
+        const angle = Math.atan2(tangent[1], tangent[0]) + (placement.forward ? 0 : Math.PI);
+        ctx.save();
+        ctx.translate(pt[0], pt[1]);
+        if (gifOrientation === "rotate") ctx.rotate(angle);
+        else if (gifOrientation === "mirror" && Math.cos(angle) < 0) ctx.scale(-1, 1);
+        drawSpriteFrame(ctx, frame, -w / 2, -h / 2, w, h);
+        ctx.restore();
     }
-    gifElements.clear();
-    gifLinkData.clear();
-    gifContainer = null;
+}
+
+// Anything that changes how links draw keeps the hooks in; with all of it off
+// links go straight to LiteGraph.
+function needsHooks() {
+    return hasActiveEffect() || gravityEnabled || (gifEnabled && hasSpriteSource()) ||
+        (animationMode === "execution" && dimCompletedLinks);
+}
+
+function refreshHooks() {
+    if (needsHooks()) installHooks();
+    else uninstallHooks();
 }
 
 function installHooks() {
     if (installed) return;
+    if (hookedProto && hooksBypassed) {
+        hooksBypassed = false;
+        installed = true;
+        log("hooks resumed");
+        return;
+    }
     let LGraphCanvas = (typeof globalThis !== "undefined" && globalThis.LiteGraph && globalThis.LiteGraph.LGraphCanvas) ? globalThis.LiteGraph.LGraphCanvas : null;
     if (!LGraphCanvas && app && app.canvas && app.canvas.constructor) LGraphCanvas = app.canvas.constructor;
-    if (!LGraphCanvas) { setTimeout(installHooks, 500); return; }
+    if (!LGraphCanvas) { setTimeout(refreshHooks, 500); return; }
 
     const proto = LGraphCanvas.prototype;
 
     if (typeof proto.renderLink === "function") {
         originalRenderLink = proto.renderLink;
         const patchedRenderLink = function (ctx, a, b, link, skip_border, flow, color, start_dir, end_dir, options) {
+            if (hooksBypassed) return originalRenderLink.apply(this, arguments);
             options = options || {};
-            const len = Math.hypot(b[0] - a[0], b[1] - a[1]);
-            const ropePoints = getRopePoints(link, a, b, len);
+            return measureLinkRender(() => withLinkDimming(ctx, link, () => {
+                const len = Math.hypot(b[0] - a[0], b[1] - a[1]);
+                const inView = isLinkInView(this, a, b, len);
+                countLinkVisibility(inView);
+                const ropePoints = getRopePoints(link, a, b, len, !inView);
+                const path = createLinkPath(a, b, ropePoints, this.links_render_mode, start_dir, end_dir, options, link ? link.id : null);
+                // 未动画的连线（如非选中节点）按原样绘制
+                let effect = inView && shouldAnimateLink(link) ? getEffectForLink(link) : null;
+                if (effect !== null && !shouldDrawEffectAtQuality(len)) effect = null;
             
-            // 处理 GIF 显示（必须在绘制连线之前，因为需要获取坐标和变换矩阵）
-            if (gifEnabled && gifUrl && shouldAnimateLink(link)) {
-                try {
+                // 绘制效果或连线
+                if (effect !== null && ctx && Array.isArray(a) && Array.isArray(b)) {
                     const now = getTimeForEffect();
-                    const linkKey = getLinkKey(link, a, b);
-                    updateGifPosition(linkKey, a, b, ropePoints, now, ctx);
-                } catch (err) { warn("GIF update failed", err); }
-            }
-            
-            // 绘制效果或连线
-            if (currentEffect !== null && ctx && Array.isArray(a) && Array.isArray(b)) {
-                if (shouldAnimateLink(link)) {
-                    try {
-                        const now = getTimeForEffect();
-                        EFFECTS[currentEffect].draw(ctx, a, b, now, len, ropePoints);
-                    } catch (err) { warn("effect draw failed", err); }
+                    const fx = createEffectContext(link, color, effect, getCanvasScale(ctx, this));
+                    if (shouldRecordOverlayLink(this, effect, fx)) {
+                        // 动画效果交给覆盖层绘制
+                        recordOverlayLink(ctx, link, effect, a, b, len, fx, this.links_render_mode, start_dir, end_dir, options);
+                    } else if (!drawEffect(effect, ctx, a, b, now, len, path, fx)) {
+                        // 效果绘制失败时退回原始连线
+                        effect = null;
+                    }
                     // GIF 和效果可以同时显示，所以不 return
                 }
-            }
-            if (gravityEnabled && ropePoints && ctx) {
-                drawRope(ctx, ropePoints, color || "rgba(150, 150, 150, 0.8)", 2);
-                // 如果只有重力效果，不绘制原始连线
-                if (currentEffect === null) return;
-            }
-            // 如果没有效果，绘制原始连线
-            if (currentEffect === null && !gravityEnabled) {
-                return originalRenderLink.call(this, ctx, a, b, link, skip_border, flow, color, start_dir, end_dir, options);
-            }
+                let result;
+                if (gravityEnabled && ropePoints && ctx) {
+                    // 重力模式下绳子代替原始连线
+                    drawLinkRope(ctx, ropePhysics.get(getRopeKey(link, a, b)), color, 2);
+                } else if (effect === null) {
+                    // 如果没有效果，绘制原始连线
+                    result = originalRenderLink.call(this, ctx, a, b, link, skip_border, flow, color, start_dir, end_dir, options);
+                }
+                // GIF 画在连线之上，视口外的连线不画
+                const spriteUrl = gifEnabled && inView && ctx && shouldAnimateLink(link) ? getSpriteUrlForLink(link) : "";
+                if (spriteUrl) {
+                    try {
+                        drawGifOnLink(ctx, path, len, getFlowTime(link ? link.id : null, path, getTimeForEffect()), spriteUrl);
+                    } catch (err) {
+                        warn("GIF draw failed", err);
+                    }
+                }
+                return result;
+            }));
         };
         proto.renderLink = patchedRenderLink;
+        hookedMethod = "renderLink";
+        patchedLinkRenderer = patchedRenderLink;
         log("hooked renderLink");
+
+        // 每次重绘连线前清空覆盖层记录
+        if (typeof proto.drawConnections === "function") {
+            originalDrawConnections = proto.drawConnections;
+            patchedDrawConnections = function () {
+                if (hooksBypassed) return originalDrawConnections.apply(this, arguments);
+                if (this === app.canvas) {
+                    overlayLinks.length = 0;
+                    overlayTransform = null;
+                }
+                const result = originalDrawConnections.apply(this, arguments);
+                if (this === app.canvas && (overlayCanvas || overlayLinks.length)) overlayDirty = true;
+                return result;
+            };
+            proto.drawConnections = patchedDrawConnections;
+        }
     } else if (typeof proto.drawLink === "function") {
         originalRenderLink = proto.drawLink;
         const patchedDrawLink = function (ctx, a, b, link) {
+            if (hooksBypassed) return originalRenderLink.apply(this, arguments);
             const rest = Array.prototype.slice.call(arguments, 4);
-            const len = Math.hypot(b[0] - a[0], b[1] - a[1]);
-            const ropePoints = getRopePoints(link, a, b, len);
+            return measureLinkRender(() => withLinkDimming(ctx, link, () => {
+                const len = Math.hypot(b[0] - a[0], b[1] - a[1]);
+                const inView = isLinkInView(this, a, b, len);
+                countLinkVisibility(inView);
+                const ropePoints = getRopePoints(link, a, b, len, !inView);
+                const path = createLinkPath(a, b, ropePoints, this.links_render_mode, null, null, null, link ? link.id : null);
+                let effect = inView && shouldAnimateLink(link) ? getEffectForLink(link) : null;
+                if (effect !== null && !shouldDrawEffectAtQuality(len)) effect = null;
             
-            // 处理 GIF 显示（必须在绘制连线之前，因为需要获取坐标和变换矩阵）
-            if (gifEnabled && gifUrl && shouldAnimateLink(link)) {
-                try {
+                // 绘制效果或连线
+                if (effect !== null && ctx && Array.isArray(a) && Array.isArray(b)) {
                     const now = getTimeForEffect();
-                    const linkKey = getLinkKey(link, a, b);
-                    // 对于 drawLink，ctx 可能不是 Canvas 2D 上下文，尝试获取
-                    const canvasCtx = this.canvas ? this.canvas.getContext("2d") : ctx;
-                    updateGifPosition(linkKey, a, b, ropePoints, now, canvasCtx);
-                } catch (err) { warn("GIF update failed", err); }
-            }
-            
-            // 绘制效果或连线
-            if (currentEffect !== null && ctx && Array.isArray(a) && Array.isArray(b)) {
-                if (shouldAnimateLink(link)) {
-                    try {
-                        const now = getTimeForEffect();
-                        EFFECTS[currentEffect].draw(ctx, a, b, now, len, ropePoints);
-                    } catch (err) { warn("effect draw failed", err); }
+                    if (!drawEffect(effect, ctx, a, b, now, len, path, createEffectContext(link, null, effect, getCanvasScale(ctx, this)))) effect = null;
                     // GIF 和效果可以同时显示，所以不 return
                 }
-            }
-            if (gravityEnabled && ropePoints && ctx) {
-                drawRope(ctx, ropePoints, "rgba(150, 150, 150, 0.8)", 2);
-                // 如果只有重力效果，不绘制原始连线
-                if (currentEffect === null) return;
-            }
-            // 如果没有效果，绘制原始连线
-            if (currentEffect === null && !gravityEnabled) {
-                return originalRenderLink.apply(this, [ctx, a, b, link].concat(rest));
-            }
+                let result;
+                if (gravityEnabled && ropePoints && ctx) {
+                    drawLinkRope(ctx, ropePhysics.get(getRopeKey(link, a, b)), null, 2);
+                } else if (effect === null) {
+                    result = originalRenderLink.apply(this, [ctx, a, b, link].concat(rest));
+                }
+                const spriteUrl = gifEnabled && inView && ctx && shouldAnimateLink(link) ? getSpriteUrlForLink(link) : "";
+                if (spriteUrl) {
+                    try {
+                        drawGifOnLink(ctx, path, len, getFlowTime(link ? link.id : null, path, getTimeForEffect()), spriteUrl);
+                    } catch (err) {
+                        warn("GIF draw failed", err);
+                    }
+                }
+                return result;
+            }));
         };
         proto.drawLink = patchedDrawLink;
+        hookedMethod = "drawLink";
+        patchedLinkRenderer = patchedDrawLink;
         log("hooked drawLink");
     }
+    hookedProto = proto;
     installed = true;
     log("hooks installed");
 }
 
+function uninstallHooks() {
+    if (!installed) return;
+    installed = false;
+    ropePhysics.clear();
+    resetSprites();
+    removeOverlayCanvas();
+    const ownsLinkRenderer = hookedProto && hookedProto[hookedMethod] === patchedLinkRenderer;
+    const ownsDrawConnections = !patchedDrawConnections || (hookedProto && hookedProto.drawConnections === patchedDrawConnections);
+    if (ownsLinkRenderer && ownsDrawConnections) {
+        hookedProto[hookedMethod] = originalRenderLink;
+        if (patchedDrawConnections) hookedProto.drawConnections = originalDrawConnections;
+        hookedProto = null;
+        hookedMethod = null;
+        patchedLinkRenderer = null;
+        originalRenderLink = null;
+        patchedDrawConnections = null;
+        originalDrawConnections = null;
+        log("hooks uninstalled");
+    } else {
+        hooksBypassed = true;
+        log("hooks bypassed, they were wrapped by another extension");
+    }
+}
+
 app.registerExtension({
     name: EXTENSION_NAME,
+    settings: buildComfySettings(),
     init: function () {
         log("initializing...");
+        // The local store is authoritative once it exists; otherwise keep what ComfyUI handed us.
+        if (loadSettings()) pushComfySettings();
+        settingsLoaded = true;
+        window.addEventListener("beforeunload", flushSettings);
+        registerExecutionListeners();
         registerSidebarTab();
+        registerRopeInteraction();
+        loadSpriteLibrary();
         const waitForCanvas = function () {
-            if (app && app.canvas) installHooks();
-            else setTimeout(waitForCanvas, 200);
+            if (app && app.canvas) {
+                refreshHooks();
+                refreshAnimationLoop();
+            } else {
+                setTimeout(waitForCanvas, 200);
+            }
         };
         waitForCanvas();
+    },
+    // 单条连线的图片指定存在工作流里，换工作流后重新判断是否需要钩子
+    afterConfigureGraph: function () {
+        refreshHooks();
+        refreshAnimationLoop();
+        if (sidebarContainer) buildSidebarContent(sidebarContainer);
     }
 });